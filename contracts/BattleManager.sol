@@ -1,15 +1,25 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./Battlecard.sol";
+import "./ScoringStrategies.sol";
 
 /**
  * @title BattleManager
  * @notice Manages card battles, escrow, and rewards
- * @dev Handles battle flow: create -> join -> reveal rounds -> claim reward
+ * @dev Handles battle flow: create -> join -> reveal lineups -> reveal rounds -> claim reward
  */
-contract BattleManager is ReentrancyGuard {
+contract BattleManager is AccessControl, Pausable, ReentrancyGuard, EIP712 {
+    // Roles (DEFAULT_ADMIN_ROLE grants and revokes them): pausing new battles, game settings, protocol fees
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant GAME_CONFIG_ROLE = keccak256("GAME_CONFIG_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
     BattleCard public immutable battleCard;
 
     enum BattleStatus {
@@ -20,38 +30,167 @@ contract BattleManager is ReentrancyGuard {
         Cancelled
     }
 
+    // Deck size and rounds per battle: a single-card duel, best-of-3 or best-of-5
+    enum BattleFormat {
+        QuickDuel,
+        BestOf3,
+        BestOf5
+    }
+
     struct Battle {
         address starter;
         address opponent;
-        uint256[3] starterCards;
-        uint256[3] opponentCards;
+        uint256[] starterCards;
+        uint256[] opponentCards;
         uint8 starterWins;
         uint8 opponentWins;
         uint8 currentRound;
         BattleStatus status;
+        BattleFormat format;
         uint256 createdAt;
         address winner;
+        // Hidden lineups: keccak256(abi.encode(player, orderedCards, salt)), see computeLineupHash
+        bytes32 starterLineupHash;
+        bytes32 opponentLineupHash;
+        bool starterLineupRevealed;
+        bool opponentLineupRevealed;
+        uint256 joinedAt; // Unix timestamp; starts the lineup reveal window
+        // Optional MON stake per player; the winner takes both minus the fee locked in at creation
+        uint256 wager;
+        uint16 feeBps;
+        uint256 resolvedAt; // Unix timestamp; starts the claim window
+        // Loser's card awarded to the winner, fixed once the winner picks it or the claim window passes
+        uint256 prizeTokenId;
+        // Round scoring, fixed at creation so later allowlist changes don't affect the battle
+        IScoringStrategy scoringStrategy;
+        // Unix timestamp after which the challenge can't be joined (0 for battles started from a signed offer)
+        uint256 expiresAt;
+        // Cards stay in the players' wallets, locked by BattleCard, and no prize changes hands
+        bool friendly;
+        // Escrowed battle started with starter cards: no wager, and both decks go back when it resolves
+        bool noPrize;
+    }
+
+    // Lobby entry for an open challenge
+    struct OpenBattle {
+        uint256 battleId;
+        address starter;
+        BattleFormat format;
+        uint256[] starterCards;
+        uint256 deckScore;
+        uint256 wager;
+        uint256 createdAt;
+        IScoringStrategy scoringStrategy;
+        uint256 expiresAt;
+        bool friendly;
+        bool noPrize;
+    }
+
+    // Cards an address can still collect from a settled battle
+    struct ClaimableBattle {
+        uint256 battleId;
+        uint256[] tokenIds; // Cards returned by the claim (the winner's includes the prize once it's fixed)
+        bool ready; // False while waiting for the winner to pick a prize; the claim would revert
+    }
+
+    // Challenge signed off-chain by the starter (EIP-712) and escrowed only when the opponent accepts it
+    struct BattleOffer {
+        address starter;
+        address opponent; // address(0) lets anyone holding the offer accept it
+        BattleFormat format;
+        uint256[] starterCards; // Sorted ascending, approved for BattleManager
+        bytes32 lineupHash;
+        address scoringStrategy; // address(0) for the default at acceptance
+        uint256 nonce;
+        uint256 deadline; // Unix timestamp after which the offer can't be accepted
+    }
+
+    // A player's rating and record, updated whenever one of their battles resolves
+    struct PlayerStats {
+        uint32 rating;
+        uint32 wins;
+        uint32 losses;
+        uint32 draws;
+        uint32 winStreak; // Consecutive wins, reset by a loss or draw
     }
 
     uint256 public battleCount;
-    mapping(uint256 => Battle) public battles;
+    mapping(uint256 => Battle) internal battles; // read through getBattle (the struct is too wide for a public getter)
     mapping(uint256 => mapping(uint256 => bool)) public roundsRevealed; // battleId => roundIndex => revealed
 
-    // Timeout for battle creation (e.g., 1 hour in blocks, adjust for Monad)
-    uint256 public constant BATTLE_TIMEOUT = 3600; // ~1 hour at 1s block time
+    // Settlement ledger: battleId => participant => cards collected
+    mapping(uint256 => mapping(address => bool)) public cardsClaimed;
+
+    // Battles each address has started or joined
+    mapping(address => uint256[]) private _battlesOf;
+
+    // Challenges addressed to each opponent, for their inbox
+    mapping(address => uint256[]) private _challengesFor;
+
+    // Open challenges (opponent == address(0)) still waiting for an opponent, with O(1) removal
+    uint256[] private _openBattles;
+    mapping(uint256 => uint256) private _openBattlesIndex;
+
+    // How long a challenge stays joinable, chosen by the starter within bounds set by GAME_CONFIG_ROLE
+    uint256 public constant DEFAULT_CHALLENGE_DURATION = 1 hours;
+    uint256 public minChallengeDuration = 5 minutes;
+    uint256 public maxChallengeDuration = 7 days;
+
+    // Time after the join for both players to reveal their lineups before forfeiting
+    uint256 public constant LINEUP_REVEAL_TIMEOUT = 1 hours;
+
+    // Protocol fee on wager pots, in basis points of the pot
+    uint16 public constant MAX_PROTOCOL_FEE_BPS = 1000; // 10%
+    uint16 public protocolFeeBps = 250; // 2.5%
+    uint256 public accruedFees;
+
+    // MON owed to each address from wager payouts and refunds, withdrawn with withdraw()
+    mapping(address => uint256) public pendingWithdrawals;
+
+    // Time after resolution the winner has to pick a prize before the loser can release their cards
+    uint256 public constant CLAIM_WINDOW = 1 hours;
+
+    // Score bonus (percent) for a card whose character beats its opponent's, see TypeAdvantage
+    uint256 public constant TYPE_ADVANTAGE_BONUS = TypeAdvantage.BONUS;
+
+    // Scoring strategies battles can be created with, and the one used when none is chosen
+    mapping(address => bool) public isScoringStrategy;
+    address[] private _scoringStrategies;
+    mapping(address => uint256) private _scoringStrategiesIndex;
+    IScoringStrategy public defaultScoringStrategy;
+
+    // ELO ratings: players start at INITIAL_RATING and move by up to RATING_K_FACTOR per ranked battle
+    // (every battle except no-prize ones played with free starter decks)
+    uint32 public constant INITIAL_RATING = 1200;
+    uint32 public constant RATING_K_FACTOR = 32;
+    mapping(address => PlayerStats) private _playerStats;
+    uint256 public rankedPlayerCount; // Players with at least one ranked battle
+    // Highest ratings first, kept sorted as ratings change so reading it never scans every player
+    uint256 public constant LEADERBOARD_SIZE = 50;
+    address[] private _leaderboard;
+    mapping(address => bool) private _onLeaderboard;
+
+    bytes32 public constant BATTLE_OFFER_TYPEHASH =
+        keccak256(
+            "BattleOffer(address starter,address opponent,uint8 format,uint256[] starterCards,bytes32 lineupHash,address scoringStrategy,uint256 nonce,uint256 deadline)"
+        );
+
+    // Offer nonces that were accepted or cancelled: starter => nonce => used
+    mapping(address => mapping(uint256 => bool)) public offerNonceUsed;
 
     // Events
     event BattleCreated(
         uint256 indexed battleId,
         address indexed starter,
         address indexed opponent,
-        uint256[3] starterCards
+        BattleFormat format,
+        uint256[] starterCards
     );
 
     event BattleJoined(
         uint256 indexed battleId,
         address indexed opponent,
-        uint256[3] opponentCards
+        uint256[] opponentCards
     );
 
     event RoundResolved(
@@ -59,7 +198,8 @@ contract BattleManager is ReentrancyGuard {
         uint8 indexed roundIndex,
         uint256 starterCardId,
         uint256 opponentCardId,
-        bool starterWon
+        bool starterWon,
+        bool draw
     );
 
     event BattleResolved(
@@ -73,210 +213,1160 @@ contract BattleManager is ReentrancyGuard {
         uint256 indexed claimedTokenId
     );
 
+    event CardsReleased(
+        uint256 indexed battleId,
+        address indexed loser,
+        uint256 indexed prizeTokenId
+    );
+
     event BattleCancelled(uint256 indexed battleId);
 
-    constructor(address _battleCardAddress) {
+    event ChallengeDeclined(uint256 indexed battleId, address indexed opponent);
+
+    event ChallengeDurationBoundsUpdated(uint256 minDuration, uint256 maxDuration);
+
+    event LineupRevealed(
+        uint256 indexed battleId,
+        address indexed player,
+        uint256[] lineup
+    );
+
+    event LineupForfeited(uint256 indexed battleId, address indexed player);
+
+    event WagerSettled(
+        uint256 indexed battleId,
+        address indexed winner,
+        uint256 payout,
+        uint256 fee
+    );
+
+    event ProtocolFeeUpdated(uint16 feeBps);
+
+    event Withdrawal(address indexed account, uint256 amount);
+
+    event ScoringStrategyUpdated(address indexed strategy, bool allowed);
+
+    event DefaultScoringStrategyUpdated(address indexed strategy);
+
+    event RatingUpdated(uint256 indexed battleId, address indexed player, uint32 rating);
+
+    event OfferAccepted(uint256 indexed battleId, address indexed starter, uint256 nonce);
+
+    event OfferCancelled(address indexed starter, uint256 nonce);
+
+    constructor(address _battleCardAddress, address _defaultScoringStrategy) EIP712("BattleManager", "1") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(GAME_CONFIG_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+
         battleCard = BattleCard(_battleCardAddress);
+        setScoringStrategy(_defaultScoringStrategy, true);
+        setDefaultScoringStrategy(_defaultScoringStrategy);
     }
 
     /**
-     * @notice Create a new battle challenge
-     * @param opponent The opponent's address
-     * @param myCards Array of exactly 3 token IDs to battle with
+     * @notice Create a new battle challenge, optionally wagering MON (msg.value) that the opponent must match
+     * @dev Cards are escrowed in ascending ID order so the calldata doesn't leak the lineup. A deck with
+     *      starter cards makes a no-prize battle unless it's friendly; only those accept starter cards on join
+     * @param opponent The opponent's address, or address(0) for an open challenge anyone can join
+     * @param format Battle format, which sets the deck size (see deckSize)
+     * @param myCards Token IDs to battle with, one per round, sorted ascending
+     * @param lineupHash Commitment to the round order (see computeLineupHash)
+     * @param scoringStrategy An allowlisted scoring strategy, or address(0) for the default
+     * @param duration Seconds the challenge stays joinable, within the configured bounds (0 for DEFAULT_CHALLENGE_DURATION)
+     * @param friendly Lock both decks in their owners' wallets instead of escrowing them, with no prize or wager
      * @return battleId The battle ID
      */
-    function createBattle(address opponent, uint256[3] calldata myCards)
+    function createBattle(
+        address opponent,
+        BattleFormat format,
+        uint256[] calldata myCards,
+        bytes32 lineupHash,
+        address scoringStrategy,
+        uint256 duration,
+        bool friendly
+    )
         external
+        payable
         nonReentrant
+        whenNotPaused
         returns (uint256)
     {
-        require(opponent != address(0) && opponent != msg.sender, "Invalid opponent");
-
-        // Validate ownership and escrow cards
-        for (uint256 i = 0; i < 3; i++) {
-            require(battleCard.ownerOf(myCards[i]) == msg.sender, "Not owner");
-            battleCard.transferFrom(msg.sender, address(this), myCards[i]);
-        }
-
-        uint256 battleId = battleCount++;
-        battles[battleId] = Battle({
-            starter: msg.sender,
-            opponent: opponent,
-            starterCards: myCards,
-            opponentCards: [uint256(0), uint256(0), uint256(0)],
-            starterWins: 0,
-            opponentWins: 0,
-            currentRound: 0,
-            status: BattleStatus.WaitingForOpponent,
-            createdAt: block.number,
-            winner: address(0)
-        });
-
-        emit BattleCreated(battleId, msg.sender, opponent, myCards);
+        require(opponent != msg.sender, "Invalid opponent");
+        if (duration == 0) {
+            duration = DEFAULT_CHALLENGE_DURATION;
+        }
+        require(duration >= minChallengeDuration && duration <= maxChallengeDuration, "Duration out of bounds");
+        require(!friendly || msg.value == 0, "Friendly battles have no wager");
+
+        uint256 battleId = _createBattle(msg.sender, opponent, format, myCards, lineupHash, scoringStrategy, friendly);
+        require(!battles[battleId].noPrize || msg.value == 0, "No-prize battles have no wager");
+        battles[battleId].wager = msg.value;
+        battles[battleId].expiresAt = block.timestamp + duration;
+        if (opponent == address(0)) {
+            _openBattlesIndex[battleId] = _openBattles.length;
+            _openBattles.push(battleId);
+        } else {
+            _challengesFor[opponent].push(battleId);
+        }
         return battleId;
     }
 
     /**
-     * @notice Join an existing battle
+     * @notice Join an existing battle, either as the intended opponent or as anyone for an open challenge
+     * @dev msg.value must match the starter's wager
      * @param battleId The battle ID
-     * @param opponentCards Array of exactly 3 token IDs to battle with
+     * @param opponentCards Token IDs to battle with, as many as the starter's, sorted ascending
+     * @param lineupHash Commitment to the round order (see computeLineupHash)
      */
-    function joinBattle(uint256 battleId, uint256[3] calldata opponentCards)
+    function joinBattle(uint256 battleId, uint256[] calldata opponentCards, bytes32 lineupHash)
         external
+        payable
         nonReentrant
+        whenNotPaused
     {
         Battle storage battle = battles[battleId];
         require(battle.status == BattleStatus.WaitingForOpponent, "Battle not open");
-        require(battle.opponent == msg.sender, "Not the intended opponent");
-        require(block.number <= battle.createdAt + BATTLE_TIMEOUT, "Battle expired");
+        if (battle.opponent == address(0)) {
+            require(battle.starter != msg.sender, "Cannot join own battle");
+            battle.opponent = msg.sender;
+            _removeOpenBattle(battleId);
+        } else {
+            require(battle.opponent == msg.sender, "Not the intended opponent");
+        }
+        require(block.timestamp <= battle.expiresAt, "Battle expired");
+        require(msg.value == battle.wager, "Wager mismatch");
+
+        _joinBattle(battleId, opponentCards, lineupHash);
+    }
+
+    /**
+     * @notice Accept a starter's signed offer, escrowing both decks and starting the battle in one call
+     * @dev The starter must have approved their cards for BattleManager; offers carry no wager
+     * @param offer The signed offer
+     * @param signature The starter's EIP-712 signature over the offer
+     * @param opponentCards Token IDs to battle with, as many as the offer's format needs, sorted ascending
+     * @param lineupHash Commitment to the round order (see computeLineupHash)
+     * @return battleId The battle ID
+     */
+    function acceptOffer(
+        BattleOffer calldata offer,
+        bytes calldata signature,
+        uint256[] calldata opponentCards,
+        bytes32 lineupHash
+    ) external nonReentrant whenNotPaused returns (uint256 battleId) {
+        require(block.timestamp <= offer.deadline, "Offer expired");
+        require(offer.starter != msg.sender, "Cannot accept own offer");
+        require(offer.opponent == address(0) || offer.opponent == msg.sender, "Not the intended opponent");
+        require(!offerNonceUsed[offer.starter][offer.nonce], "Offer already used");
+        require(ECDSA.recover(hashOffer(offer), signature) == offer.starter, "Invalid signature");
+        offerNonceUsed[offer.starter][offer.nonce] = true;
+
+        battleId = _createBattle(
+            offer.starter,
+            msg.sender,
+            offer.format,
+            offer.starterCards,
+            offer.lineupHash,
+            offer.scoringStrategy,
+            false
+        );
+        _joinBattle(battleId, opponentCards, lineupHash);
+        emit OfferAccepted(battleId, offer.starter, offer.nonce);
+    }
 
-        // Validate ownership and escrow cards
-        for (uint256 i = 0; i < 3; i++) {
-            require(battleCard.ownerOf(opponentCards[i]) == msg.sender, "Not owner");
-            battleCard.transferFrom(msg.sender, address(this), opponentCards[i]);
+    /**
+     * @notice Invalidate one of your signed offers before it's accepted
+     * @param nonce The offer's nonce
+     */
+    function cancelOffer(uint256 nonce) external {
+        require(!offerNonceUsed[msg.sender][nonce], "Offer already used");
+        offerNonceUsed[msg.sender][nonce] = true;
+        emit OfferCancelled(msg.sender, nonce);
+    }
+
+    /**
+     * @notice EIP-712 digest of an offer, as signed by the starter
+     * @param offer The offer
+     * @return The typed data hash
+     */
+    function hashOffer(BattleOffer calldata offer) public view returns (bytes32) {
+        return
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        BATTLE_OFFER_TYPEHASH,
+                        offer.starter,
+                        offer.opponent,
+                        offer.format,
+                        keccak256(abi.encodePacked(offer.starterCards)),
+                        offer.lineupHash,
+                        offer.scoringStrategy,
+                        offer.nonce,
+                        offer.deadline
+                    )
+                )
+            );
+    }
+
+    function _createBattle(
+        address starter,
+        address opponent,
+        BattleFormat format,
+        uint256[] calldata cards,
+        bytes32 lineupHash,
+        address scoringStrategy,
+        bool friendly
+    ) internal returns (uint256 battleId) {
+        require(lineupHash != bytes32(0), "Missing lineup commitment");
+        if (scoringStrategy == address(0)) {
+            scoringStrategy = address(defaultScoringStrategy);
         }
+        require(isScoringStrategy[scoringStrategy], "Scoring strategy not allowed");
+
+        _escrowCards(starter, cards, deckSize(format), friendly);
+
+        battleId = battleCount++;
+        Battle storage battle = battles[battleId];
+        battle.starter = starter;
+        battle.opponent = opponent;
+        battle.starterCards = cards;
+        battle.status = BattleStatus.WaitingForOpponent;
+        battle.format = format;
+        battle.createdAt = block.number;
+        battle.starterLineupHash = lineupHash;
+        battle.feeBps = protocolFeeBps;
+        battle.scoringStrategy = IScoringStrategy(scoringStrategy);
+        battle.friendly = friendly;
+        battle.noPrize = !friendly && _hasStarterCards(cards);
+        _battlesOf[starter].push(battleId);
+
+        emit BattleCreated(battleId, starter, opponent, format, cards);
+    }
+
+    function _joinBattle(uint256 battleId, uint256[] calldata opponentCards, bytes32 lineupHash) internal {
+        require(lineupHash != bytes32(0), "Missing lineup commitment");
+        Battle storage battle = battles[battleId];
+        require(
+            battle.friendly || battle.noPrize || !_hasStarterCards(opponentCards),
+            "Starter cards need a no-prize battle"
+        );
+
+        _escrowCards(msg.sender, opponentCards, deckSize(battle.format), battle.friendly);
 
         battle.opponentCards = opponentCards;
+        battle.opponentLineupHash = lineupHash;
+        battle.joinedAt = block.timestamp;
+        _battlesOf[msg.sender].push(battleId);
         battle.status = BattleStatus.ReadyToReveal;
 
         emit BattleJoined(battleId, msg.sender, opponentCards);
     }
 
     /**
-     * @notice Reveal the next round of battle (anyone can call)
+     * @notice Reveal your committed round order; rounds start once both lineups are revealed
      * @param battleId The battle ID
+     * @param lineup Your escrowed cards in round order
+     * @param salt The salt used for the commitment
      */
-    function revealRound(uint256 battleId) external {
+    function revealLineup(uint256 battleId, uint256[] calldata lineup, bytes32 salt) external {
         Battle storage battle = battles[battleId];
-        require(battle.status == BattleStatus.ReadyToReveal || battle.status == BattleStatus.InProgress, "Battle not ready");
-        require(battle.currentRound < 3, "All rounds complete");
-        require(!roundsRevealed[battleId][battle.currentRound], "Round already revealed");
+        require(battle.status == BattleStatus.ReadyToReveal, "Battle not ready");
 
-        uint256 starterCardId = battle.starterCards[battle.currentRound];
-        uint256 opponentCardId = battle.opponentCards[battle.currentRound];
+        bool isStarter = msg.sender == battle.starter;
+        require(isStarter || msg.sender == battle.opponent, "Not a participant");
+        require(
+            !(isStarter ? battle.starterLineupRevealed : battle.opponentLineupRevealed),
+            "Lineup already revealed"
+        );
+        require(
+            computeLineupHash(msg.sender, lineup, salt) ==
+                (isStarter ? battle.starterLineupHash : battle.opponentLineupHash),
+            "Lineup does not match commitment"
+        );
 
-        BattleCard.Card memory starterCard = battleCard.getCard(starterCardId);
-        BattleCard.Card memory opponentCard = battleCard.getCard(opponentCardId);
+        uint256[] storage escrowed = isStarter ? battle.starterCards : battle.opponentCards;
+        _requireSameCards(escrowed, lineup);
 
-        // Calculate scores: power + defense/2 + speed
-        uint256 starterScore;
-        uint256 opponentScore;
-        unchecked {
-            starterScore = uint256(starterCard.power) + (uint256(starterCard.defense) / 2) + uint256(starterCard.speed);
-            opponentScore = uint256(opponentCard.power) + (uint256(opponentCard.defense) / 2) + uint256(opponentCard.speed);
+        if (isStarter) {
+            battle.starterCards = lineup;
+            battle.starterLineupRevealed = true;
+        } else {
+            battle.opponentCards = lineup;
+            battle.opponentLineupRevealed = true;
         }
 
-        bool starterWon = starterScore > opponentScore;
-        roundsRevealed[battleId][battle.currentRound] = true;
+        emit LineupRevealed(battleId, msg.sender, lineup);
+    }
 
-        if (starterWon) {
-            battle.starterWins++;
-        } else {
-            battle.opponentWins++;
+    /**
+     * @notice Settle a battle whose lineups weren't both revealed in time (anyone can call)
+     * @dev A player who revealed wins against one who didn't; if neither did, the battle is a draw
+     * @param battleId The battle ID
+     */
+    function claimForfeit(uint256 battleId) external {
+        Battle storage battle = battles[battleId];
+        require(battle.status == BattleStatus.ReadyToReveal, "Battle not ready");
+        require(!(battle.starterLineupRevealed && battle.opponentLineupRevealed), "Lineups revealed");
+        require(block.timestamp > battle.joinedAt + LINEUP_REVEAL_TIMEOUT, "Reveal window open");
+
+        if (!battle.starterLineupRevealed) {
+            emit LineupForfeited(battleId, battle.starter);
+        }
+        if (!battle.opponentLineupRevealed) {
+            emit LineupForfeited(battleId, battle.opponent);
         }
 
-        battle.currentRound++;
-        
-        // Check if battle is complete (best of 3)
-        if (battle.starterWins >= 2 || battle.opponentWins >= 2 || battle.currentRound >= 3) {
-            battle.status = BattleStatus.Resolved;
-            if (battle.starterWins > battle.opponentWins) {
-                battle.winner = battle.starter;
-            } else if (battle.opponentWins > battle.starterWins) {
-                battle.winner = battle.opponent;
-            } else {
-                // Draw - return all cards to owners
-                battle.winner = address(0);
-            }
-            emit BattleResolved(battleId, battle.winner);
+        if (battle.starterLineupRevealed) {
+            _resolve(battleId, battle.starter);
+        } else if (battle.opponentLineupRevealed) {
+            _resolve(battleId, battle.opponent);
         } else {
-            battle.status = BattleStatus.InProgress;
+            _resolve(battleId, address(0));
         }
+    }
 
-        emit RoundResolved(battleId, battle.currentRound - 1, starterCardId, opponentCardId, starterWon);
+    /**
+     * @notice Commitment to a lineup, as passed to createBattle/joinBattle
+     * @param player The committing player (binds the commitment to its owner)
+     * @param lineup Cards in round order
+     * @param salt Secret random salt
+     * @return The lineup commitment hash
+     */
+    function computeLineupHash(address player, uint256[] calldata lineup, bytes32 salt)
+        public
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(player, lineup, salt));
+    }
+
+    /**
+     * @notice Reveal the next round of battle (anyone can call)
+     * @param battleId The battle ID
+     */
+    function revealRound(uint256 battleId) external {
+        _requirePlayable(battleId);
+        _playRound(battleId);
     }
 
     /**
-     * @notice Claim reward after winning a battle, or retrieve cards in case of a draw
+     * @notice Play every remaining round in one transaction (anyone can call)
+     * @dev Emits the same RoundResolved/BattleResolved events as calling revealRound repeatedly
      * @param battleId The battle ID
-     * @param prizeCardIndex Index (0-2) of opponent card to claim (ignored in draw)
+     */
+    function resolveBattle(uint256 battleId) external {
+        _requirePlayable(battleId);
+        while (!_playRound(battleId)) {}
+    }
+
+    /**
+     * @notice Collect your cards from a resolved battle: the winner picks a prize, a draw returns your own cards
+     * @dev Each participant claims once through the cardsClaimed ledger; the loser uses releaseCards
+     * @param battleId The battle ID
+     * @param prizeCardIndex Index of the loser's card to claim (ignored in a draw or once the prize is fixed)
      */
     function claimReward(uint256 battleId, uint8 prizeCardIndex) external nonReentrant {
         Battle storage battle = battles[battleId];
         require(battle.status == BattleStatus.Resolved, "Battle not resolved");
         
-        // Handle draw case: both players can retrieve their own cards
         if (battle.winner == address(0)) {
             require(
                 msg.sender == battle.starter || msg.sender == battle.opponent,
                 "Only battle participants can claim in a draw"
             );
-            
-            // Return all cards to their original owners
-            // Return starter's cards to starter
-            for (uint256 i = 0; i < 3; i++) {
-                if (battle.starterCards[i] != 0) {
-                    battleCard.transferFrom(address(this), battle.starter, battle.starterCards[i]);
-                }
-            }
-            
-            // Return opponent's cards to opponent
-            for (uint256 i = 0; i < 3; i++) {
-                if (battle.opponentCards[i] != 0) {
-                    battleCard.transferFrom(address(this), battle.opponent, battle.opponentCards[i]);
-                }
+        } else {
+            require(battle.winner == msg.sender, "Not the winner");
+            if (battle.prizeTokenId == 0) {
+                require(prizeCardIndex < battle.starterCards.length, "Invalid index");
+                _setPrize(battle, prizeCardIndex);
             }
-            
-            emit CardClaimed(battleId, msg.sender, 0); // 0 indicates draw
-            return;
         }
-        
-        // Winner case: only winner can claim
-        require(battle.winner == msg.sender, "Not the winner");
-        require(prizeCardIndex < 3, "Invalid index");
 
-        uint256 prizeTokenId = battle.opponentCards[prizeCardIndex];
-        require(prizeTokenId != 0, "Invalid prize card");
+        _claimCards(battleId, msg.sender);
+        emit CardClaimed(battleId, msg.sender, battle.prizeTokenId); // 0 indicates draw
+    }
 
-        // Transfer prize to winner
-        battleCard.transferFrom(address(this), msg.sender, prizeTokenId);
+    /**
+     * @notice Collect the loser's remaining cards once the prize is fixed
+     * @dev If the winner hasn't picked by the end of the claim window, the prize defaults to
+     *      defaultPrizeIndex so escrowed cards never depend on the winner showing up
+     * @param battleId The battle ID
+     */
+    function releaseCards(uint256 battleId) external nonReentrant {
+        Battle storage battle = battles[battleId];
+        require(battle.status == BattleStatus.Resolved, "Battle not resolved");
+        require(battle.winner != address(0), "Draws are claimed with claimReward");
+        require(msg.sender == _loser(battle), "Not the loser");
 
-        // Return remaining opponent cards to opponent
-        for (uint256 i = 0; i < 3; i++) {
-            if (i != prizeCardIndex && battle.opponentCards[i] != 0) {
-                battleCard.transferFrom(address(this), battle.opponent, battle.opponentCards[i]);
-            }
+        if (battle.prizeTokenId == 0) {
+            require(block.timestamp > battle.resolvedAt + CLAIM_WINDOW, "Claim window open");
+            _setPrize(battle, defaultPrizeIndex(battleId));
         }
 
-        // Return all starter cards to starter
-        for (uint256 i = 0; i < 3; i++) {
-            if (battle.starterCards[i] != 0) {
-                battleCard.transferFrom(address(this), battle.starter, battle.starterCards[i]);
+        _claimCards(battleId, msg.sender);
+        emit CardsReleased(battleId, msg.sender, battle.prizeTokenId);
+    }
+
+    /**
+     * @notice Index of the loser's card awarded when the winner doesn't claim in time
+     * @dev Highest base score under the battle's scoring strategy; ties go to the earlier lineup slot
+     * @param battleId The battle ID
+     * @return index Index into the loser's cards
+     */
+    function defaultPrizeIndex(uint256 battleId) public view returns (uint8 index) {
+        Battle storage battle = battles[battleId];
+        require(battle.winner != address(0), "No winner");
+        uint256[] storage loserCards = battle.winner == battle.starter ? battle.opponentCards : battle.starterCards;
+
+        uint256 best;
+        for (uint8 i = 0; i < loserCards.length; i++) {
+            uint256 score = battle.scoringStrategy.baseScore(battleCard.getCard(loserCards[i]));
+            if (score > best) {
+                best = score;
+                index = i;
             }
         }
-
-        emit CardClaimed(battleId, msg.sender, prizeTokenId);
     }
 
     /**
-     * @notice Cancel battle if opponent doesn't join in time
+     * @notice Withdraw a challenge nobody has joined yet, at any time, and get the cards and wager back
      * @param battleId The battle ID
      */
     function cancelBattle(uint256 battleId) external nonReentrant {
         Battle storage battle = battles[battleId];
         require(battle.status == BattleStatus.WaitingForOpponent, "Cannot cancel");
         require(battle.starter == msg.sender, "Not starter");
-        require(block.number > battle.createdAt + BATTLE_TIMEOUT, "Not expired");
+        _cancel(battleId);
+    }
 
-        // Return starter's cards
-        for (uint256 i = 0; i < 3; i++) {
-            if (battle.starterCards[i] != 0) {
-                battleCard.transferFrom(address(this), battle.starter, battle.starterCards[i]);
-            }
+    /**
+     * @notice Turn down a challenge addressed to you; the starter gets their cards and wager back
+     * @param battleId The battle ID
+     */
+    function declineChallenge(uint256 battleId) external nonReentrant {
+        Battle storage battle = battles[battleId];
+        require(battle.status == BattleStatus.WaitingForOpponent, "Cannot decline");
+        require(battle.opponent == msg.sender, "Not the intended opponent");
+        emit ChallengeDeclined(battleId, msg.sender);
+        _cancel(battleId);
+    }
+
+    function _cancel(uint256 battleId) internal {
+        Battle storage battle = battles[battleId];
+        if (battle.opponent == address(0)) {
+            _removeOpenBattle(battleId);
         }
 
         battle.status = BattleStatus.Cancelled;
+        pendingWithdrawals[battle.starter] += battle.wager;
         emit BattleCancelled(battleId);
+
+        // The starter is the only participant, so their claim is settled right away
+        _claimCards(battleId, battle.starter);
+    }
+
+    /**
+     * @notice Withdraw MON owed from wager payouts and refunds
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    /**
+     * @notice Set the protocol fee for battles created from now on
+     * @param feeBps Fee in basis points of the wager pot
+     */
+    function setProtocolFee(uint16 feeBps) external onlyRole(GAME_CONFIG_ROLE) {
+        require(feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        protocolFeeBps = feeBps;
+        emit ProtocolFeeUpdated(feeBps);
+    }
+
+    /**
+     * @notice Set how long new challenges can stay joinable
+     * @param minDuration Shortest allowed duration in seconds
+     * @param maxDuration Longest allowed duration in seconds
+     */
+    function setChallengeDurationBounds(uint256 minDuration, uint256 maxDuration) external onlyRole(GAME_CONFIG_ROLE) {
+        require(minDuration > 0 && minDuration <= maxDuration, "Invalid bounds");
+        minChallengeDuration = minDuration;
+        maxChallengeDuration = maxDuration;
+        emit ChallengeDurationBoundsUpdated(minDuration, maxDuration);
+    }
+
+    /**
+     * @notice Allow or remove a scoring strategy for battles created from now on
+     * @dev Battles already created keep the strategy they were created with
+     * @param strategy The IScoringStrategy contract
+     * @param allowed Whether new battles can use it
+     */
+    function setScoringStrategy(address strategy, bool allowed) public onlyRole(GAME_CONFIG_ROLE) {
+        require(strategy != address(0), "Invalid strategy");
+        if (allowed == isScoringStrategy[strategy]) return;
+
+        if (allowed) {
+            _scoringStrategiesIndex[strategy] = _scoringStrategies.length;
+            _scoringStrategies.push(strategy);
+        } else {
+            require(strategy != address(defaultScoringStrategy), "Cannot remove default strategy");
+            uint256 index = _scoringStrategiesIndex[strategy];
+            address last = _scoringStrategies[_scoringStrategies.length - 1];
+            _scoringStrategies[index] = last;
+            _scoringStrategiesIndex[last] = index;
+            _scoringStrategies.pop();
+            delete _scoringStrategiesIndex[strategy];
+        }
+        isScoringStrategy[strategy] = allowed;
+        emit ScoringStrategyUpdated(strategy, allowed);
+    }
+
+    /**
+     * @notice Set the strategy used by battles created without choosing one
+     * @param strategy An allowlisted IScoringStrategy contract
+     */
+    function setDefaultScoringStrategy(address strategy) public onlyRole(GAME_CONFIG_ROLE) {
+        require(isScoringStrategy[strategy], "Scoring strategy not allowed");
+        defaultScoringStrategy = IScoringStrategy(strategy);
+        emit DefaultScoringStrategyUpdated(strategy);
+    }
+
+    /**
+     * @notice Allowlisted scoring strategies
+     * @return Strategy contract addresses
+     */
+    function getScoringStrategies() external view returns (address[] memory) {
+        return _scoringStrategies;
+    }
+
+    /**
+     * @notice Treasury withdrawal of collected protocol fees, paid to the caller
+     */
+    function withdrawFees() external onlyRole(TREASURY_ROLE) nonReentrant {
+        uint256 amount = accruedFees;
+        require(amount > 0, "No funds to withdraw");
+        accruedFees = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+    }
+
+    /**
+     * @notice Stop new battles: createBattle, joinBattle and acceptOffer revert while paused
+     * @dev Battles already underway can still be revealed, resolved, claimed and cancelled
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Allow new battles again
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Winner's payout for a battle's wager pot after the protocol fee
+     * @param battleId The battle ID
+     * @return payout MON credited to the winner
+     * @return fee MON kept by the protocol
+     */
+    function wagerPayout(uint256 battleId) public view returns (uint256 payout, uint256 fee) {
+        Battle storage battle = battles[battleId];
+        uint256 pot = battle.wager * 2;
+        fee = (pot * battle.feeBps) / 10_000;
+        payout = pot - fee;
+    }
+
+    /**
+     * @notice Cards an address can still collect, across every battle it started or joined
+     * @param account The address to check
+     * @return claimable One entry per settled battle with an unclaimed share
+     */
+    function getClaimable(address account) external view returns (ClaimableBattle[] memory claimable) {
+        uint256[] storage ids = _battlesOf[account];
+        uint256 count;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (_hasUnclaimedCards(ids[i], account)) count++;
+        }
+
+        claimable = new ClaimableBattle[](count);
+        count = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            uint256 battleId = ids[i];
+            if (!_hasUnclaimedCards(battleId, account)) continue;
+
+            Battle storage battle = battles[battleId];
+            bool ready = battle.winner == address(0) ||
+                account == battle.winner ||
+                battle.prizeTokenId != 0 ||
+                block.timestamp > battle.resolvedAt + CLAIM_WINDOW;
+            claimable[count++] = ClaimableBattle({
+                battleId: battleId,
+                tokenIds: _owedCards(battle, account),
+                ready: ready
+            });
+        }
+    }
+
+    /**
+     * @notice Number of open challenges waiting for an opponent (including expired ones not yet cancelled)
+     */
+    function openBattleCount() external view returns (uint256) {
+        return _openBattles.length;
+    }
+
+    /**
+     * @notice Paginated lobby of open challenges
+     * @dev Order is not stable: joining or cancelling moves the last entry into the freed slot
+     * @param offset Index of the first open challenge to return
+     * @param limit Maximum number of entries to return
+     * @return page Open challenges with their starter and total deck score
+     */
+    function getOpenBattles(uint256 offset, uint256 limit) external view returns (OpenBattle[] memory page) {
+        uint256 total = _openBattles.length;
+        if (offset >= total) {
+            return new OpenBattle[](0);
+        }
+        uint256 end = offset + limit > total ? total : offset + limit;
+
+        page = new OpenBattle[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            uint256 battleId = _openBattles[i];
+            Battle storage battle = battles[battleId];
+            page[i - offset] = OpenBattle({
+                battleId: battleId,
+                starter: battle.starter,
+                format: battle.format,
+                starterCards: battle.starterCards,
+                deckScore: _deckScore(battle.scoringStrategy, battle.starterCards),
+                wager: battle.wager,
+                createdAt: battle.createdAt,
+                scoringStrategy: battle.scoringStrategy,
+                expiresAt: battle.expiresAt,
+                friendly: battle.friendly,
+                noPrize: battle.noPrize
+            });
+        }
+    }
+
+    /**
+     * @notice Number of battles an address has started or joined
+     * @param player The player's address
+     */
+    function battleCountOf(address player) external view returns (uint256) {
+        return _battlesOf[player].length;
+    }
+
+    /**
+     * @notice Page of the battles an address has started or joined, most recent first
+     * @param player The player's address
+     * @param offset Number of battles to skip, counting from the most recent
+     * @param limit Maximum number of IDs to return
+     * @return ids Battle IDs
+     */
+    function getBattlesOf(address player, uint256 offset, uint256 limit) external view returns (uint256[] memory ids) {
+        uint256[] storage all = _battlesOf[player];
+        uint256 total = all.length;
+        if (offset >= total) {
+            return new uint256[](0);
+        }
+        uint256 count = total - offset < limit ? total - offset : limit;
+
+        ids = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ids[i] = all[total - 1 - offset - i];
+        }
+    }
+
+    /**
+     * @notice Challenges addressed to an opponent that they can still join, oldest first
+     * @param opponent The opponent's address
+     * @return ids Battle IDs
+     */
+    function getPendingChallengesFor(address opponent) external view returns (uint256[] memory ids) {
+        uint256[] storage all = _challengesFor[opponent];
+        uint256 count;
+        for (uint256 i = 0; i < all.length; i++) {
+            if (_isJoinable(battles[all[i]])) count++;
+        }
+
+        ids = new uint256[](count);
+        uint256 next;
+        for (uint256 i = 0; i < all.length && next < count; i++) {
+            if (_isJoinable(battles[all[i]])) {
+                ids[next++] = all[i];
+            }
+        }
+    }
+
+    /**
+     * @notice Get several battles in one call
+     * @param ids Battle IDs
+     * @return result Battle structs, in the same order as ids
+     */
+    function getBattles(uint256[] calldata ids) external view returns (Battle[] memory result) {
+        result = new Battle[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            result[i] = battles[ids[i]];
+        }
+    }
+
+    function _isJoinable(Battle storage battle) internal view returns (bool) {
+        return battle.status == BattleStatus.WaitingForOpponent && block.timestamp <= battle.expiresAt;
+    }
+
+    /**
+     * @notice Total base score (no type bonus) of a set of cards under the default scoring strategy
+     * @param cards Token IDs to score
+     * @return The summed base score
+     */
+    function deckScore(uint256[] memory cards) external view returns (uint256) {
+        return _deckScore(defaultScoringStrategy, cards);
+    }
+
+    function _deckScore(IScoringStrategy strategy, uint256[] memory cards) internal view returns (uint256 total) {
+        for (uint256 i = 0; i < cards.length; i++) {
+            total += strategy.baseScore(battleCard.getCard(cards[i]));
+        }
+    }
+
+    function _requirePlayable(uint256 battleId) internal view {
+        Battle storage battle = battles[battleId];
+        require(battle.status == BattleStatus.ReadyToReveal || battle.status == BattleStatus.InProgress, "Battle not ready");
+        require(battle.currentRound < deckSize(battle.format), "All rounds complete");
+        require(battle.starterLineupRevealed && battle.opponentLineupRevealed, "Lineups not revealed");
+    }
+
+    /**
+     * @notice Play the next round and resolve the battle once it's decided
+     * @return resolved Whether the battle is now resolved
+     */
+    function _playRound(uint256 battleId) internal returns (bool resolved) {
+        Battle storage battle = battles[battleId];
+        uint8 round = battle.currentRound;
+        require(!roundsRevealed[battleId][round], "Round already revealed");
+
+        uint256 starterCardId = battle.starterCards[round];
+        uint256 opponentCardId = battle.opponentCards[round];
+
+        BattleCard.Card memory starterCard = battleCard.getCard(starterCardId);
+        BattleCard.Card memory opponentCard = battleCard.getCard(opponentCardId);
+
+        (bool starterWon, bool draw) = _roundOutcome(battle.scoringStrategy, starterCard, opponentCard);
+        roundsRevealed[battleId][round] = true;
+
+        if (starterWon) {
+            battle.starterWins++;
+        } else if (!draw) {
+            battle.opponentWins++;
+        }
+
+        battle.currentRound++;
+        emit RoundResolved(battleId, round, starterCardId, opponentCardId, starterWon, draw);
+
+        // Card records, plus XP in battles with a prize; the level bonus reaches later rounds through
+        // getCard. Once this manager is replaced it can no longer record rounds, but its battles must
+        // still settle
+        if (battleCard.battleManager() == address(this)) {
+            bool earnsXp = _hasPrize(battle);
+            if (starterWon) {
+                battleCard.recordRound(starterCardId, opponentCardId, false, earnsXp);
+            } else {
+                battleCard.recordRound(opponentCardId, starterCardId, draw, earnsXp);
+            }
+        }
+
+        // Check if battle is complete: a majority of rounds won, or every round played
+        uint8 rounds = deckSize(battle.format);
+        uint8 winsNeeded = rounds / 2 + 1;
+        if (battle.starterWins >= winsNeeded || battle.opponentWins >= winsNeeded || battle.currentRound >= rounds) {
+            if (battle.starterWins > battle.opponentWins) {
+                _resolve(battleId, battle.starter);
+            } else if (battle.opponentWins > battle.starterWins) {
+                _resolve(battleId, battle.opponent);
+            } else {
+                // Draw - return all cards to owners
+                _resolve(battleId, address(0));
+            }
+            return true;
+        }
+
+        battle.status = BattleStatus.InProgress;
+        return false;
+    }
+
+    /**
+     * @notice Mark a battle resolved and settle its wager; friendly and no-prize battles hand both decks
+     *         back right away
+     */
+    function _resolve(uint256 battleId, address winner) internal {
+        Battle storage battle = battles[battleId];
+        battle.winner = winner;
+        battle.status = BattleStatus.Resolved;
+        battle.resolvedAt = block.timestamp;
+
+        emit BattleResolved(battleId, winner);
+        _settleWager(battleId);
+        // Starter decks are free for every new address, so battles played with them aren't rated
+        if (!battle.noPrize) {
+            _updateRatings(battleId);
+        }
+
+        if (!_hasPrize(battle)) {
+            _claimCards(battleId, battle.starter);
+            _claimCards(battleId, battle.opponent);
+        }
+    }
+
+    function _updateRatings(uint256 battleId) internal {
+        Battle storage battle = battles[battleId];
+        PlayerStats storage starter = _rankedStats(battle.starter);
+        PlayerStats storage opponent = _rankedStats(battle.opponent);
+
+        // The starter's result in per-mille (1000 win, 500 draw, 0 loss); the opponent's is the complement
+        uint256 result = battle.winner == battle.starter ? 1000 : battle.winner == address(0) ? 500 : 0;
+        int256 change = (int256(uint256(RATING_K_FACTOR)) *
+            (int256(result) - int256(expectedScore(starter.rating, opponent.rating)))) / 1000;
+
+        starter.rating = _adjustRating(starter.rating, change);
+        opponent.rating = _adjustRating(opponent.rating, -change);
+        _recordResult(starter, result);
+        _recordResult(opponent, 1000 - result);
+
+        _updateLeaderboard(battle.starter, starter.rating);
+        _updateLeaderboard(battle.opponent, opponent.rating);
+
+        emit RatingUpdated(battleId, battle.starter, starter.rating);
+        emit RatingUpdated(battleId, battle.opponent, opponent.rating);
+    }
+
+    // Stats of a player, entering them at INITIAL_RATING on their first ranked battle
+    function _rankedStats(address player) internal returns (PlayerStats storage stats) {
+        stats = _playerStats[player];
+        if (stats.wins + stats.losses + stats.draws == 0) {
+            stats.rating = INITIAL_RATING;
+            rankedPlayerCount++;
+        }
+    }
+
+    /**
+     * @notice Move a player to their place on the leaderboard after a rating change
+     * @dev A player off the board enters it while there's room, or by beating the lowest entry, which then
+     *      drops off. Players off the board are only compared when their own rating changes, so one can sit
+     *      above a board entry whose rating has since fallen until their next ranked battle
+     */
+    function _updateLeaderboard(address player, uint32 rating) internal {
+        uint256 length = _leaderboard.length;
+        uint256 pos;
+        if (_onLeaderboard[player]) {
+            while (_leaderboard[pos] != player) pos++;
+        } else if (length < LEADERBOARD_SIZE) {
+            _leaderboard.push(player);
+            pos = length++;
+        } else if (rating > _playerStats[_leaderboard[length - 1]].rating) {
+            pos = length - 1;
+            _onLeaderboard[_leaderboard[pos]] = false;
+            _leaderboard[pos] = player;
+        } else {
+            return;
+        }
+        _onLeaderboard[player] = true;
+
+        // A player goes below entries they tie with, so equal ratings stay in the order they were reached
+        while (pos > 0 && _playerStats[_leaderboard[pos - 1]].rating < rating) {
+            _leaderboard[pos] = _leaderboard[pos - 1];
+            pos--;
+        }
+        while (pos + 1 < length && _playerStats[_leaderboard[pos + 1]].rating >= rating) {
+            _leaderboard[pos] = _leaderboard[pos + 1];
+            pos++;
+        }
+        _leaderboard[pos] = player;
+    }
+
+    function _adjustRating(uint32 rating, int256 change) internal pure returns (uint32) {
+        if (change < 0 && uint256(-change) > rating) return 0;
+        return uint32(uint256(int256(uint256(rating)) + change));
+    }
+
+    function _recordResult(PlayerStats storage stats, uint256 result) internal {
+        if (result == 1000) {
+            stats.wins++;
+            stats.winStreak++;
+        } else {
+            if (result == 500) {
+                stats.draws++;
+            } else {
+                stats.losses++;
+            }
+            stats.winStreak = 0;
+        }
+    }
+
+    function _loser(Battle storage battle) internal view returns (address) {
+        return battle.winner == battle.starter ? battle.opponent : battle.starter;
+    }
+
+    function _hasUnclaimedCards(uint256 battleId, address account) internal view returns (bool) {
+        BattleStatus status = battles[battleId].status;
+        return (status == BattleStatus.Resolved || status == BattleStatus.Cancelled) &&
+            !cardsClaimed[battleId][account];
+    }
+
+    function _setPrize(Battle storage battle, uint8 prizeCardIndex) internal {
+        uint256[] storage loserCards = battle.winner == battle.starter ? battle.opponentCards : battle.starterCards;
+        battle.prizeTokenId = loserCards[prizeCardIndex];
+    }
+
+    /**
+     * @notice Transfer (or, in a friendly battle, unlock) the cards a participant is owed and record the claim
+     */
+    function _claimCards(uint256 battleId, address account) internal {
+        require(!cardsClaimed[battleId][account], "Already claimed");
+        cardsClaimed[battleId][account] = true;
+
+        uint256[] memory tokenIds = _owedCards(battles[battleId], account);
+        if (battles[battleId].friendly) {
+            battleCard.setLocked(tokenIds, false);
+            return;
+        }
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            battleCard.transferFrom(address(this), account, tokenIds[i]);
+        }
+    }
+
+    /**
+     * @notice Cards owed to a participant of a settled battle, ignoring whether they were claimed
+     * @dev A winner or loser is owed nothing extra until the prize is fixed (prizeTokenId != 0)
+     */
+    function _owedCards(Battle storage battle, address account) internal view returns (uint256[] memory tokenIds) {
+        if (account != battle.starter && account != battle.opponent) {
+            return new uint256[](0);
+        }
+        uint256[] storage own = account == battle.starter ? battle.starterCards : battle.opponentCards;
+        uint256 prize = battle.prizeTokenId;
+        bool isWinner = battle.winner != address(0) && account == battle.winner;
+        bool isLoser = battle.winner != address(0) && !isWinner;
+
+        uint256 count = isWinner && prize != 0 ? 1 : 0;
+        for (uint256 i = 0; i < own.length; i++) {
+            if (own[i] != 0 && !(isLoser && own[i] == prize)) count++;
+        }
+
+        tokenIds = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < own.length; i++) {
+            if (own[i] != 0 && !(isLoser && own[i] == prize)) {
+                tokenIds[count++] = own[i];
+            }
+        }
+        if (isWinner && prize != 0) {
+            tokenIds[count] = prize;
+        }
+    }
+
+    /**
+     * @notice Credit a resolved battle's wager: pot minus fee to the winner, or each stake back on a draw
+     */
+    function _settleWager(uint256 battleId) internal {
+        Battle storage battle = battles[battleId];
+        if (battle.wager == 0) return;
+
+        if (battle.winner == address(0)) {
+            pendingWithdrawals[battle.starter] += battle.wager;
+            pendingWithdrawals[battle.opponent] += battle.wager;
+            emit WagerSettled(battleId, address(0), 0, 0);
+            return;
+        }
+
+        (uint256 payout, uint256 fee) = wagerPayout(battleId);
+        pendingWithdrawals[battle.winner] += payout;
+        accruedFees += fee;
+        emit WagerSettled(battleId, battle.winner, payout, fee);
+    }
+
+    function _removeOpenBattle(uint256 battleId) internal {
+        uint256 index = _openBattlesIndex[battleId];
+        uint256 lastId = _openBattles[_openBattles.length - 1];
+
+        _openBattles[index] = lastId;
+        _openBattlesIndex[lastId] = index;
+        _openBattles.pop();
+        delete _openBattlesIndex[battleId];
+    }
+
+    /**
+     * @notice Number of cards per deck (and rounds) for a battle format
+     * @param format The battle format
+     * @return 1 for a quick duel, 3 for best-of-3, 5 for best-of-5
+     */
+    function deckSize(BattleFormat format) public pure returns (uint8) {
+        if (format == BattleFormat.QuickDuel) return 1;
+        if (format == BattleFormat.BestOf3) return 3;
+        return 5;
+    }
+
+    /**
+     * @notice Whether the winner takes a prize card (neither a friendly nor a no-prize battle)
+     */
+    function _hasPrize(Battle storage battle) internal view returns (bool) {
+        return !battle.friendly && !battle.noPrize;
+    }
+
+    /**
+     * @notice Whether a deck includes any of BattleCard's soulbound starter cards
+     */
+    function _hasStarterCards(uint256[] calldata cards) internal view returns (bool) {
+        for (uint256 i = 0; i < cards.length; i++) {
+            if (battleCard.starterCard(cards[i])) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @notice Validate ownership and escrow a sorted deck of the format's size (lock it in place if friendly)
+     */
+    function _escrowCards(address holder, uint256[] calldata cards, uint8 size, bool friendly) internal {
+        require(cards.length == size, "Wrong number of cards");
+        for (uint256 i = 0; i < cards.length; i++) {
+            require(i == 0 || cards[i] > cards[i - 1], "Cards must be sorted ascending");
+            require(battleCard.ownerOf(cards[i]) == holder, "Not owner");
+            if (!friendly) {
+                battleCard.transferFrom(holder, address(this), cards[i]);
+            }
+        }
+        if (friendly) {
+            battleCard.setLocked(cards, true);
+        }
+    }
+
+    /**
+     * @notice Require a revealed lineup to be an ordering of the escrowed cards
+     * @dev Escrowed cards are distinct, so same length + every escrowed card present means a permutation
+     */
+    function _requireSameCards(uint256[] storage escrowed, uint256[] calldata lineup) internal view {
+        require(lineup.length == escrowed.length, "Lineup does not match escrow");
+        for (uint256 i = 0; i < escrowed.length; i++) {
+            bool found = false;
+            for (uint256 j = 0; j < lineup.length; j++) {
+                if (lineup[j] == escrowed[i]) {
+                    found = true;
+                    break;
+                }
+            }
+            require(found, "Lineup does not match escrow");
+        }
+    }
+
+    /**
+     * @notice Type advantage bonus of one character over another
+     * @param attacker Character type (0-3) of the scoring card
+     * @param defender Character type (0-3) of the opposing card
+     * @return Bonus percent applied to the attacker's score (0 if none)
+     */
+    function typeAdvantage(uint8 attacker, uint8 defender) public pure returns (uint256) {
+        return TypeAdvantage.bonus(attacker, defender);
+    }
+
+    /**
+     * @notice Full type advantage matrix for the frontend
+     * @return matrix Bonus percent indexed [attacker][defender]
+     */
+    function getTypeAdvantageMatrix() external pure returns (uint256[4][4] memory matrix) {
+        for (uint8 attacker = 0; attacker < 4; attacker++) {
+            for (uint8 defender = 0; defender < 4; defender++) {
+                matrix[attacker][defender] = typeAdvantage(attacker, defender);
+            }
+        }
+    }
+
+    /**
+     * @notice Decide a round: higher score wins, ties go to higher speed, then higher power
+     * @param strategy The battle's scoring strategy
+     * @return starterWon Whether the starter's card won
+     * @return draw Whether the cards are tied on score, speed and power
+     */
+    function _roundOutcome(
+        IScoringStrategy strategy,
+        BattleCard.Card memory starterCard,
+        BattleCard.Card memory opponentCard
+    ) internal pure returns (bool starterWon, bool draw) {
+        uint256 starterScore = strategy.score(starterCard, opponentCard);
+        uint256 opponentScore = strategy.score(opponentCard, starterCard);
+
+        if (starterScore != opponentScore) {
+            return (starterScore > opponentScore, false);
+        }
+        if (starterCard.speed != opponentCard.speed) {
+            return (starterCard.speed > opponentCard.speed, false);
+        }
+        if (starterCard.power != opponentCard.power) {
+            return (starterCard.power > opponentCard.power, false);
+        }
+        return (false, true);
+    }
+
+    /**
+     * @notice Expected ELO score of a player against an opponent, 1/(1 + 10^(-diff/400)) in per-mille
+     * @dev Interpolated from a table in 50-point steps, flat beyond an 800-point gap
+     * @param rating The player's rating
+     * @param opposingRating The opponent's rating
+     * @return Expected score out of 1000
+     */
+    function expectedScore(uint32 rating, uint32 opposingRating) public pure returns (uint256) {
+        uint16[17] memory table = [
+            uint16(500), 571, 640, 703, 760, 808, 849, 882, 909, 930, 947, 960, 969, 977, 983, 987, 990
+        ];
+        bool ahead = rating >= opposingRating;
+        uint256 diff = ahead ? rating - opposingRating : opposingRating - rating;
+
+        uint256 expected = table[16];
+        if (diff < 800) {
+            uint256 step = diff / 50;
+            expected = table[step] + ((table[step + 1] - table[step]) * (diff % 50)) / 50;
+        }
+        return ahead ? expected : 1000 - expected;
+    }
+
+    /**
+     * @notice A player's rating and record
+     * @param player The player's address
+     * @return stats Rating (INITIAL_RATING before their first ranked battle), wins, losses, draws and win streak
+     */
+    function getPlayerStats(address player) public view returns (PlayerStats memory stats) {
+        stats = _playerStats[player];
+        if (stats.wins + stats.losses + stats.draws == 0) {
+            stats.rating = INITIAL_RATING;
+        }
+    }
+
+    /**
+     * @notice Highest-rated players, best first, from the board of up to LEADERBOARD_SIZE players
+     * @dev Equal ratings keep the order they reached the rating in (see _updateLeaderboard)
+     * @param limit Maximum number of entries
+     * @return players Player addresses
+     * @return stats Each player's rating and record
+     */
+    function getLeaderboard(uint256 limit)
+        external
+        view
+        returns (address[] memory players, PlayerStats[] memory stats)
+    {
+        uint256 size = limit < _leaderboard.length ? limit : _leaderboard.length;
+        players = new address[](size);
+        stats = new PlayerStats[](size);
+        for (uint256 i = 0; i < size; i++) {
+            players[i] = _leaderboard[i];
+            stats[i] = _playerStats[players[i]];
+        }
     }
 
     /**
@@ -2,17 +2,53 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./CardArt.sol";
+
+// Leveling rules, shared with CardArt's XP bar (BattleCard exposes them as XP_PER_LEVEL and MAX_LEVEL)
+uint32 constant CARD_XP_PER_LEVEL = 100;
+uint8 constant CARD_MAX_LEVEL = 10;
 
 /**
  * @title BattleCard
  * @notice ERC721 NFT contract for Monad Battle Cards
  * @dev Gas-optimized card storage with uint16 stats and uint8 enums
  */
-contract BattleCard is ERC721, Ownable, ReentrancyGuard {
-    uint256 public constant MINT_FEE = 0.001 ether;
+contract BattleCard is ERC721, ERC2981, AccessControl, Pausable, ReentrancyGuard {
+    // Roles (DEFAULT_ADMIN_ROLE grants and revokes them and sets the battle manager)
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant GAME_CONFIG_ROLE = keccak256("GAME_CONFIG_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
     uint256 public nextId = 1;
+    uint256 public nextCommitId = 1;
+
+    // Cards are revealed from the hash of a block mined after the commit
+    uint256 public constant REVEAL_DELAY = 1;
+    // blockhash() only covers the last 256 blocks
+    uint256 public constant REVEAL_WINDOW = 256;
+    // Keeps a pack reveal well inside the block gas limit
+    uint8 public constant MAX_PACK_SIZE = 10;
+    // Cards of one rarity burned by fuse for one card of the next rarity
+    uint8 public constant FUSION_SIZE = 3;
+    // Free soulbound Commons per address, one of each of the first three characters
+    uint8 public constant STARTER_DECK_SIZE = 3;
+
+    // Battle experience: XP per round result, XP per level, and a +1% stat bonus per level up to MAX_LEVEL
+    uint32 public constant ROUND_WIN_XP = 20;
+    uint32 public constant ROUND_DRAW_XP = 10;
+    uint32 public constant ROUND_LOSS_XP = 5;
+    uint32 public constant XP_PER_LEVEL = CARD_XP_PER_LEVEL;
+    uint8 public constant MAX_LEVEL = CARD_MAX_LEVEL;
+    uint8 public constant LEVEL_BONUS_PERCENT = 1;
+
+    // Most payees in the mint revenue split, which keeps distribution inside the gas limit
+    uint8 public constant MAX_PAYEES = 10;
+    // Royalty ceiling for secondary sales (10%)
+    uint96 public constant MAX_ROYALTY_BPS = 1000;
 
     // Character types: 0=Warrior, 1=Mage, 2=Cavalry, 3=Prince
     enum CharacterType {
@@ -38,10 +74,72 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
         uint16 speed;     // 0-65535
         uint8 character;  // 0-3
         uint8 rarity;     // 0-4
+        uint8 level;      // 0-MAX_LEVEL, derived from xp
+        uint32 xp;        // Battle experience
+        uint32 wins;      // Rounds won
+        uint32 losses;    // Rounds lost
+    }
+
+    // Paid mint waiting for its reveal block
+    struct MintCommit {
+        address minter;
+        uint64 revealBlock;
+        bool revealed;
+        uint8 quantity;    // Cards to mint on reveal
+        uint8 minRarity;   // Rarity floor of the last card (guaranteed slot, or a fusion's rarity)
+    }
+
+    // Booster pack configuration (size 0 = not for sale)
+    struct Pack {
+        uint256 price;
+        uint8 size;
+        uint8 guaranteedRarity;
+    }
+
+    // Fixed outcome of a fusion commit; only the stats are rolled on reveal (rarity 0 = not a fusion)
+    struct Fusion {
+        uint8 rarity;
+        uint8 character;
     }
 
     mapping(uint256 => Card) public cards;
+    // ERC721Enumerable-style ownership index: O(1) add/remove on every transfer
     mapping(address => uint256[]) private _ownedTokens;
+    mapping(uint256 => uint256) private _ownedTokensIndex;
+    mapping(uint256 => MintCommit) public mintCommits;
+    mapping(address => uint256[]) private _pendingCommits;
+    mapping(uint8 => Pack) public packs;
+    uint8 public packCount;
+
+    // The only address that can lock cards (for friendly battles that keep cards in the players' wallets)
+    // and record round results
+    address public battleManager;
+    // Locked cards can't be transferred until the battle that locked them is settled
+    mapping(uint256 => bool) public locked;
+    uint256 public lockedCount;
+    mapping(uint256 => Fusion) public fusions; // commitId => fusion outcome
+
+    uint256 public mintPrice = 0.001 ether;
+    // Supply caps (0 = uncapped). maxSupply counts cards in existence, so burned cards free up room;
+    // rarity caps are edition sizes that count every card ever minted of the rarity
+    uint256 public maxSupply;
+    uint256 public totalSupply;
+    uint256 public starterSupply; // Starter cards in totalSupply; left out of maxSupply so free claims can't use it up
+    uint256 public reservedSupply; // Cards committed to but not revealed yet
+    mapping(uint8 => uint256) public rarityCaps;
+    mapping(uint8 => uint256) public rarityMinted;
+    mapping(uint8 => uint256) public reservedRarityMints; // Fusions waiting to mint their fixed rarity
+
+    // Mint revenue split in basis points (totalling 10000); credited on distribution and pulled with withdraw
+    address[] private _payees;
+    uint16[] private _payeeShares;
+    mapping(address => uint256) public pendingWithdrawals;
+    uint256 public totalPendingWithdrawals;
+
+    // Soulbound starter cards only move in and out of BattleManager escrow, and only in no-prize battles
+    mapping(uint256 => bool) public starterCard;
+    mapping(address => bool) public starterDeckClaimed;
+    uint256 public escrowedStarterCards; // Starter cards held by battleManager, which only it can return
 
     // Events
     event CardMinted(
@@ -54,52 +152,519 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
         uint16 speed
     );
 
-    constructor() ERC721("MonadBattleCard", "MBC") Ownable(msg.sender) {}
+    event MintCommitted(
+        address indexed minter,
+        uint256 indexed commitId,
+        uint64 revealBlock,
+        uint8 quantity
+    );
+
+    event MintExpired(address indexed minter, uint256 indexed commitId);
+
+    event PackPurchased(
+        address indexed buyer,
+        uint256 indexed commitId,
+        uint8 indexed packId
+    );
+
+    event PackConfigured(uint8 indexed packId, uint256 price, uint8 size, uint8 guaranteedRarity);
+
+    event BattleManagerUpdated(address indexed battleManager);
+
+    event CardsFused(
+        address indexed owner,
+        uint256 indexed commitId,
+        uint256[] burnedTokenIds,
+        uint8 rarity,
+        uint8 character
+    );
+
+    event CardLockUpdated(uint256 indexed tokenId, bool locked);
+
+    event CardProgressed(uint256 indexed tokenId, uint8 level, uint32 xp, uint32 wins, uint32 losses);
+
+    event MintPriceUpdated(uint256 price);
+
+    event SupplyCapUpdated(uint256 maxSupply);
+
+    event RarityCapUpdated(uint8 indexed rarity, uint256 cap);
+
+    event PayeesUpdated(address[] payees, uint16[] sharesBps);
+
+    event RevenueDistributed(uint256 amount);
+
+    event Withdrawal(address indexed account, uint256 amount);
+
+    event StarterDeckClaimed(address indexed owner, uint256 firstTokenId);
+
+    constructor() ERC721("MonadBattleCard", "MBC") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(GAME_CONFIG_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+
+        _payees.push(msg.sender);
+        _payeeShares.push(10000);
+        _setDefaultRoyalty(msg.sender, 500); // 5%
+
+        _setPack(0, 0.0027 ether, 3, uint8(Rarity.Common));    // Starter: 3 cards, 10% off
+        _setPack(1, 0.0045 ether, 5, uint8(Rarity.Rare));      // Booster: 5 cards, Rare+ slot
+        _setPack(2, 0.008 ether, 10, uint8(Rarity.Epic));      // Mega: 10 cards, Epic+ slot
+    }
 
     /**
-     * @notice Mint a new battle card for 0.001 MON
-     * @return tokenId The newly minted token ID
+     * @notice Pay mintPrice and commit to a card that is revealed from a future blockhash
+     * @return commitId The mint commitment ID to pass to revealCard
      */
-    function mintCard() external payable nonReentrant returns (uint256) {
-        require(msg.value == MINT_FEE, "Incorrect mint fee");
+    function mintCard() external payable nonReentrant whenNotPaused returns (uint256) {
+        require(msg.value == mintPrice, "Incorrect mint fee");
+        return _commitMint(1, uint8(Rarity.Common));
+    }
 
-        uint256 tokenId = nextId++;
-        _safeMint(msg.sender, tokenId);
-        _ownedTokens[msg.sender].push(tokenId);
-
-        // Generate pseudo-random seed
-        uint256 rand = uint256(
-            keccak256(
-                abi.encodePacked(
-                    block.timestamp,
-                    msg.sender,
-                    tokenId,
-                    blockhash(block.number - 1)
-                )
-            )
-        );
+    /**
+     * @notice Buy a booster pack; its cards are revealed together with revealCard
+     * @param packId The pack type (see packs)
+     * @return commitId The mint commitment ID to pass to revealCard
+     */
+    function buyPack(uint8 packId) external payable nonReentrant whenNotPaused returns (uint256) {
+        Pack memory pack = packs[packId];
+        require(pack.size > 0, "Pack not available");
+        require(msg.value == pack.price, "Incorrect pack price");
+
+        uint256 commitId = _commitMint(pack.size, pack.guaranteedRarity);
+        emit PackPurchased(msg.sender, commitId, packId);
+        return commitId;
+    }
+
+    /**
+     * @notice Claim a free deck of STARTER_DECK_SIZE soulbound Common cards, once per address
+     * @dev Minted right away from the previous blockhash, so the stats are knowingly predictable: a caller can
+     *      pick the block they claim in. That's harmless because starter cards can't be sold, fused or won as a
+     *      prize, and the only battles they can play (friendly and no-prize) give no XP and don't change ratings
+     * @return firstTokenId The first starter card's token ID
+     */
+    function claimStarterDeck() external nonReentrant whenNotPaused returns (uint256 firstTokenId) {
+        require(!starterDeckClaimed[msg.sender], "Starter deck already claimed");
+        starterDeckClaimed[msg.sender] = true;
+        starterSupply += STARTER_DECK_SIZE;
+
+        firstTokenId = nextId;
+        bytes32 entropy = blockhash(block.number - 1);
+        for (uint8 i = 0; i < STARTER_DECK_SIZE; i++) {
+            starterCard[nextId] = true;
+            uint256 rand = uint256(keccak256(abi.encodePacked(entropy, msg.sender, i)));
+            _mintCard(msg.sender, rand, uint8(Rarity.Common), i);
+        }
+        emit StarterDeckClaimed(msg.sender, firstTokenId);
+    }
+
+    /**
+     * @notice Burn FUSION_SIZE cards of one rarity and commit to a card of the next rarity
+     * @dev The character is inherited (see _inheritedCharacter) and fixed now; the stats are rolled within
+     *      the new rarity's ranges when the commitment is revealed with revealCard, like a mint
+     * @param tokenIds Cards to burn, owned by the caller, all of the same rarity below Mythic
+     * @return commitId The mint commitment ID to pass to revealCard
+     */
+    function fuse(uint256[] calldata tokenIds) external nonReentrant whenNotPaused returns (uint256) {
+        require(tokenIds.length == FUSION_SIZE, "Wrong number of cards");
+        uint8 rarity = cards[tokenIds[0]].rarity;
+        require(rarity < uint8(Rarity.Mythic), "Cannot fuse Mythic cards");
+
+        Card[] memory fused = new Card[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(ownerOf(tokenIds[i]) == msg.sender, "Not owner");
+            require(!starterCard[tokenIds[i]], "Starter cards can't be fused");
+            fused[i] = cards[tokenIds[i]];
+            require(fused[i].rarity == rarity, "Rarity mismatch");
+            delete cards[tokenIds[i]];
+            _burn(tokenIds[i]);
+        }
+        totalSupply -= FUSION_SIZE;
+
+        uint8 newRarity = rarity + 1;
+        require(_hasRoom(newRarity), "Rarity sold out");
+        reservedRarityMints[newRarity]++;
+        uint8 character = _inheritedCharacter(fused);
+        uint256 commitId = _commitMint(1, newRarity);
+        fusions[commitId] = Fusion({rarity: newRarity, character: character});
+
+        emit CardsFused(msg.sender, commitId, tokenIds, newRarity, character);
+        return commitId;
+    }
+
+    /**
+     * @notice Reveal a committed mint once its reveal block has been mined (anyone can call)
+     * @dev If the reveal window was missed the blockhash is gone, so rolled rarities fall back to Common.
+     *      The entropy is then a blockhash the caller already knows, so a card with a fixed rarity (a fusion
+     *      or a guaranteed pack slot) gets its rarity's minimum stats instead of a roll they could pick
+     * @param commitId The mint commitment ID
+     * @return tokenId The first newly minted token ID
+     */
+    function revealCard(uint256 commitId) external nonReentrant returns (uint256) {
+        MintCommit storage commit = mintCommits[commitId];
+        require(commit.minter != address(0), "Unknown commit");
+        require(!commit.revealed, "Already revealed");
+        require(block.number > commit.revealBlock, "Reveal too early");
+
+        commit.revealed = true;
+        address minter = commit.minter;
+        _removePendingCommit(minter, commitId);
+
+        bool expired = block.number > uint256(commit.revealBlock) + REVEAL_WINDOW;
+
+        bytes32 entropy = expired
+            ? blockhash(block.number - 1)
+            : blockhash(commit.revealBlock);
+
+        if (expired) {
+            emit MintExpired(minter, commitId);
+        }
+
+        uint256 firstTokenId = nextId;
+        uint8 quantity = commit.quantity;
+        reservedSupply -= quantity;
+        Fusion memory fusion = fusions[commitId];
+        for (uint8 i = 0; i < quantity; i++) {
+            uint256 rand = uint256(keccak256(abi.encodePacked(entropy, commitId, minter, i)));
+            // The last card of a pack is the guaranteed slot
+            uint8 minRarity = i == quantity - 1 ? commit.minRarity : 0;
+            // A zero seed rolls the lowest stats (and a guaranteed slot's first character)
+            if (expired && (fusion.rarity != 0 || minRarity != 0)) {
+                rand = 0;
+            }
+            if (fusion.rarity != 0) {
+                reservedRarityMints[fusion.rarity]--;
+                _mintCard(minter, rand, fusion.rarity, fusion.character);
+                continue;
+            }
+            _mintRevealed(minter, rand, expired, minRarity);
+        }
+
+        return firstTokenId;
+    }
+
+    /**
+     * @notice Get card attributes as they play in battle
+     * @dev Power, defense and speed include the level bonus; `cards` holds the base stats
+     * @param tokenId The token ID to query
+     * @return Card struct with all attributes
+     */
+    function getCard(uint256 tokenId) external view returns (Card memory) {
+        return _withLevelBonus(cards[tokenId]);
+    }
+
+    /**
+     * @notice Record a round played by two cards; only callable by the battle manager
+     * @param winnerId Card that won the round (either card on a draw)
+     * @param loserId Card that lost the round (the other card on a draw)
+     * @param draw Whether the round was drawn
+     * @param earnsXp Whether the round gives XP (battles with a prize) or only updates the records
+     */
+    function recordRound(uint256 winnerId, uint256 loserId, bool draw, bool earnsXp) external {
+        require(msg.sender == battleManager, "Not the battle manager");
+
+        if (draw) {
+            if (!earnsXp) return;
+            _gainXp(winnerId, ROUND_DRAW_XP);
+            _gainXp(loserId, ROUND_DRAW_XP);
+            return;
+        }
+
+        cards[winnerId].wins++;
+        cards[loserId].losses++;
+        _gainXp(winnerId, earnsXp ? ROUND_WIN_XP : 0);
+        _gainXp(loserId, earnsXp ? ROUND_LOSS_XP : 0);
+    }
+
+    /**
+     * @notice Stat bonus of a card level, in percent
+     * @param level The card level
+     */
+    function levelBonus(uint8 level) public pure returns (uint256) {
+        return uint256(level > MAX_LEVEL ? MAX_LEVEL : level) * LEVEL_BONUS_PERCENT;
+    }
+
+    /**
+     * @notice Fully on-chain metadata: base64 JSON with an SVG image styled like the app's cards
+     * @dev Shows the card as getCard returns it: stats with the level bonus, plus its level, XP and record
+     * @param tokenId The token ID to query
+     * @return Data URI with the token metadata
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        Card memory card = cards[tokenId];
+        return CardArt.tokenURI(tokenId, _withLevelBonus(card), levelBonus(card.level));
+    }
+
+    /**
+     * @notice Get all token IDs owned by an address (simplified for MVP)
+     * @param owner The owner address
+     * @return Array of token IDs
+     */
+    function getOwnedTokens(address owner) external view returns (uint256[] memory) {
+        return _ownedTokens[owner];
+    }
+
+    /**
+     * @notice Get a page of token IDs owned by an address
+     * @param owner The owner address
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of tokens to return
+     * @return tokenIds Array of token IDs (empty past the end)
+     */
+    function getOwnedTokensPage(address owner, uint256 offset, uint256 limit)
+        public
+        view
+        returns (uint256[] memory tokenIds)
+    {
+        uint256[] storage owned = _ownedTokens[owner];
+        uint256 end = offset + limit;
+        if (end > owned.length) end = owned.length;
+        if (offset >= end) return new uint256[](0);
+
+        tokenIds = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            tokenIds[i - offset] = owned[i];
+        }
+    }
+
+    /**
+     * @notice Get a page of an owner's token IDs together with their cards
+     * @param owner The owner address
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of tokens to return
+     * @return tokenIds Array of token IDs
+     * @return ownedCards Card structs matching tokenIds
+     */
+    function getCardsOfOwner(address owner, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory tokenIds, Card[] memory ownedCards)
+    {
+        tokenIds = getOwnedTokensPage(owner, offset, limit);
+        ownedCards = new Card[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            ownedCards[i] = _withLevelBonus(cards[tokenIds[i]]);
+        }
+    }
+
+    /**
+     * @notice Friendly-battle lock flags of several cards in one call
+     * @param tokenIds Token IDs to query
+     * @return flags Whether each card is locked
+     */
+    function lockedOf(uint256[] calldata tokenIds) external view returns (bool[] memory flags) {
+        flags = new bool[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            flags[i] = locked[tokenIds[i]];
+        }
+    }
+
+    /**
+     * @notice Starter card flags of several cards in one call
+     * @param tokenIds Token IDs to query
+     * @return flags Whether each card is a soulbound starter card
+     */
+    function starterCardsOf(uint256[] calldata tokenIds) external view returns (bool[] memory flags) {
+        flags = new bool[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            flags[i] = starterCard[tokenIds[i]];
+        }
+    }
+
+    /**
+     * @notice Get unrevealed mint commitments of an address
+     * @param minter The minter address
+     * @return Array of commit IDs
+     */
+    function getPendingCommits(address minter) external view returns (uint256[] memory) {
+        return _pendingCommits[minter];
+    }
 
-        // Determine rarity (0-99)
-        uint8 rarityVal = _determineRarity(rand % 100);
+    /**
+     * @notice Lock or unlock cards held in their owners' wallets for a friendly battle
+     * @dev Only callable by battleManager; a card can't be locked twice, so it's in at most one friendly battle
+     * @param tokenIds Token IDs to update
+     * @param isLocked True to block transfers, false to release them
+     */
+    function setLocked(uint256[] calldata tokenIds, bool isLocked) external {
+        require(msg.sender == battleManager, "Not the battle manager");
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            if (isLocked) {
+                _requireOwned(tokenId);
+                require(!locked[tokenId], "Card locked");
+            }
+            if (locked[tokenId] != isLocked) {
+                if (isLocked) lockedCount++;
+                else lockedCount--;
+            }
+            locked[tokenId] = isLocked;
+            emit CardLockUpdated(tokenId, isLocked);
+        }
+    }
+
+    /**
+     * @notice Transfer hook to update ownership tracking; locked cards can't move, and starter cards
+     *         only move into and out of BattleManager escrow, when BattleManager itself moves them
+     */
+    function _update(address to, uint256 tokenId, address auth)
+        internal
+        override
+        returns (address)
+    {
+        require(!locked[tokenId], "Card locked");
+        address from = _ownerOf(tokenId);
+        if (starterCard[tokenId] && from != address(0) && to != address(0)) {
+            require(
+                auth == battleManager && (from == battleManager || to == battleManager),
+                "Starter cards are soulbound"
+            );
+            if (to == battleManager) escrowedStarterCards++;
+            else escrowedStarterCards--;
+        }
+
+        if (from != to) {
+            if (from != address(0)) {
+                _removeTokenFromOwner(from, tokenId);
+            }
+            if (to != address(0)) {
+                // Add to new owner's list
+                _ownedTokensIndex[tokenId] = _ownedTokens[to].length;
+                _ownedTokens[to].push(tokenId);
+            }
+        }
+
+        return super._update(to, tokenId, auth);
+    }
+
+    /**
+     * @notice Remove a token from its owner's list by swapping in the last token
+     */
+    function _removeTokenFromOwner(address from, uint256 tokenId) private {
+        uint256[] storage ownerTokens = _ownedTokens[from];
+        uint256 lastIndex = ownerTokens.length - 1;
+        uint256 tokenIndex = _ownedTokensIndex[tokenId];
+
+        if (tokenIndex != lastIndex) {
+            uint256 lastTokenId = ownerTokens[lastIndex];
+            ownerTokens[tokenIndex] = lastTokenId;
+            _ownedTokensIndex[lastTokenId] = tokenIndex;
+        }
+
+        ownerTokens.pop();
+        delete _ownedTokensIndex[tokenId];
+    }
+
+    /**
+     * @notice Record a paid mint against the next block
+     */
+    function _commitMint(uint8 quantity, uint8 minRarity) private returns (uint256) {
+        require(_hasSupply(quantity), "Sold out");
+        reservedSupply += quantity;
+
+        uint256 commitId = nextCommitId++;
+        uint64 revealBlock = uint64(block.number + REVEAL_DELAY);
+        mintCommits[commitId] = MintCommit({
+            minter: msg.sender,
+            revealBlock: revealBlock,
+            revealed: false,
+            quantity: quantity,
+            minRarity: minRarity
+        });
+        _pendingCommits[msg.sender].push(commitId);
+
+        emit MintCommitted(msg.sender, commitId, revealBlock, quantity);
+        return commitId;
+    }
+
+    /**
+     * @notice Mint one revealed card
+     * @param to The card recipient
+     * @param rand Random seed for this card
+     * @param expired Whether the reveal window was missed (rolled rarity is Common)
+     * @param minRarity Rarity floor for guaranteed pack slots
+     */
+    function _mintRevealed(address to, uint256 rand, bool expired, uint8 minRarity) private {
+        // Determine rarity (0-99); expired commits can only roll a Common
+        uint8 rarityVal = expired ? 0 : _determineRarity(rand % 100);
+        if (rarityVal < minRarity) {
+            rarityVal = minRarity;
+        }
+        // A capped rarity that's sold out rolls the next rarity down with room (Common is never capped)
+        while (!_hasRoom(rarityVal)) {
+            rarityVal--;
+        }
         // Determine character type (0-3)
         uint8 characterType = uint8((rand / 100) % 4);
 
+        _mintCard(to, rand, rarityVal, characterType);
+    }
+
+    /**
+     * @notice Whether quantity more cards fit under maxSupply, counting unrevealed commitments but not starter cards
+     */
+    function _hasSupply(uint256 quantity) private view returns (bool) {
+        return maxSupply == 0 || totalSupply - starterSupply + reservedSupply + quantity <= maxSupply;
+    }
+
+    /**
+     * @notice Whether a rarity is below its cap, counting fusions that will mint it
+     */
+    function _hasRoom(uint8 rarity) private view returns (bool) {
+        uint256 cap = rarityCaps[rarity];
+        return cap == 0 || rarityMinted[rarity] + reservedRarityMints[rarity] < cap;
+    }
+
+    /**
+     * @notice Credit mint revenue not yet credited to the payees, by their shares
+     * @dev Rounding dust goes to the last payee
+     */
+    function _distribute() private {
+        uint256 amount = address(this).balance - totalPendingWithdrawals;
+        if (amount == 0) return;
+
+        uint256 credited;
+        uint256 last = _payees.length - 1;
+        for (uint256 i = 0; i < last; i++) {
+            uint256 share = amount * _payeeShares[i] / 10000;
+            pendingWithdrawals[_payees[i]] += share;
+            credited += share;
+        }
+        pendingWithdrawals[_payees[last]] += amount - credited;
+        totalPendingWithdrawals += amount;
+        emit RevenueDistributed(amount);
+    }
+
+    /**
+     * @notice Mint a card of a given rarity and character with stats rolled from rand
+     */
+    function _mintCard(address to, uint256 rand, uint8 rarityVal, uint8 characterType) private {
+        uint256 tokenId = nextId++;
+
         // Generate stats based on rarity
         (uint16 power, uint16 defense, uint16 speed) = _generateStats(
             Rarity(rarityVal),
             rand
         );
 
+        totalSupply++;
+        rarityMinted[rarityVal]++;
         cards[tokenId] = Card({
             power: power,
             defense: defense,
             speed: speed,
             character: characterType,
-            rarity: rarityVal
+            rarity: rarityVal,
+            level: 0,
+            xp: 0,
+            wins: 0,
+            losses: 0
         });
+        _safeMint(to, tokenId);
 
         emit CardMinted(
-            msg.sender,
+            to,
             tokenId,
             characterType,
             rarityVal,
@@ -107,56 +672,81 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
             defense,
             speed
         );
-
-        return tokenId;
     }
 
     /**
-     * @notice Get card attributes
-     * @param tokenId The token ID to query
-     * @return Card struct with all attributes
+     * @notice Add battle XP (possibly none) to a card, recompute its level and report its progress
      */
-    function getCard(uint256 tokenId) external view returns (Card memory) {
-        return cards[tokenId];
+    function _gainXp(uint256 tokenId, uint32 amount) private {
+        Card storage card = cards[tokenId];
+        card.xp += amount;
+        uint32 level = card.xp / XP_PER_LEVEL;
+        card.level = level > MAX_LEVEL ? MAX_LEVEL : uint8(level);
+        emit CardProgressed(tokenId, card.level, card.xp, card.wins, card.losses);
     }
 
     /**
-     * @notice Get all token IDs owned by an address (simplified for MVP)
-     * @param owner The owner address
-     * @return Array of token IDs
+     * @notice Copy of a card with the level bonus applied to its power, defense and speed
      */
-    function getOwnedTokens(address owner) external view returns (uint256[] memory) {
-        return _ownedTokens[owner];
+    function _withLevelBonus(Card memory card) private pure returns (Card memory) {
+        uint256 bonus = levelBonus(card.level);
+        if (bonus > 0) {
+            card.power = uint16(uint256(card.power) * (100 + bonus) / 100);
+            card.defense = uint16(uint256(card.defense) * (100 + bonus) / 100);
+            card.speed = uint16(uint256(card.speed) * (100 + bonus) / 100);
+        }
+        return card;
     }
 
     /**
-     * @notice Transfer hook to update ownership tracking
+     * @notice Character of a fused card: the one shared by a majority of the burned cards, otherwise the
+     *         character of the strongest one (highest power + defense + speed, earliest on a tie)
      */
-    function _update(address to, uint256 tokenId, address auth)
-        internal
-        override
-        returns (address)
-    {
-        address from = _ownerOf(tokenId);
-        
-        if (from != address(0)) {
-            // Remove from old owner's list
-            uint256[] storage oldOwnerTokens = _ownedTokens[from];
-            for (uint256 i = 0; i < oldOwnerTokens.length; i++) {
-                if (oldOwnerTokens[i] == tokenId) {
-                    oldOwnerTokens[i] = oldOwnerTokens[oldOwnerTokens.length - 1];
-                    oldOwnerTokens.pop();
-                    break;
-                }
+    function _inheritedCharacter(Card[] memory fused) private pure returns (uint8) {
+        uint256 strongest;
+        uint256 bestTotal;
+        for (uint256 i = 0; i < fused.length; i++) {
+            uint256 matches;
+            for (uint256 j = 0; j < fused.length; j++) {
+                if (fused[j].character == fused[i].character) matches++;
+            }
+            if (matches * 2 > fused.length) {
+                return fused[i].character;
+            }
+
+            uint256 total = uint256(fused[i].power) + fused[i].defense + fused[i].speed;
+            if (total > bestTotal) {
+                bestTotal = total;
+                strongest = i;
             }
         }
+        return fused[strongest].character;
+    }
 
-        if (to != address(0) && from != to) {
-            // Add to new owner's list
-            _ownedTokens[to].push(tokenId);
+    /**
+     * @notice Store a pack configuration
+     */
+    function _setPack(uint8 packId, uint256 price, uint8 size, uint8 guaranteedRarity) private {
+        require(guaranteedRarity <= uint8(Rarity.Mythic), "Invalid rarity");
+        packs[packId] = Pack({price: price, size: size, guaranteedRarity: guaranteedRarity});
+        if (packId >= packCount) {
+            packCount = packId + 1;
         }
+        emit PackConfigured(packId, price, size, guaranteedRarity);
+    }
 
-        return super._update(to, tokenId, auth);
+    /**
+     * @notice Drop a commit from the minter's pending list
+     */
+    function _removePendingCommit(address minter, uint256 commitId) private {
+        uint256[] storage pending = _pendingCommits[minter];
+        for (uint256 i = 0; i < pending.length; i++) {
+            if (pending[i] == commitId) {
+                pending[i] = pending[pending.length - 1];
+                pending.pop();
+                break;
+            }
+        }
     }
 
     /**
@@ -214,13 +804,141 @@ contract BattleCard is ERC721, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Owner withdrawal function for collected mint fees
+     * @notice Game config function to add, reprice or retire (size 0) a booster pack
+     * @param packId The pack type
+     * @param price Pack price in wei
+     * @param size Number of cards (max 10)
+     * @param guaranteedRarity Minimum rarity of the last card
      */
-    function withdraw() external onlyOwner nonReentrant {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No funds to withdraw");
-        (bool success, ) = payable(owner()).call{value: balance}("");
+    function setPack(uint8 packId, uint256 price, uint8 size, uint8 guaranteedRarity) external onlyRole(GAME_CONFIG_ROLE) {
+        require(size <= MAX_PACK_SIZE, "Pack too large");
+        _setPack(packId, price, size, guaranteedRarity);
+    }
+
+    /**
+     * @notice Game config function to set the price of mintCard
+     * @param price Mint price in wei
+     */
+    function setMintPrice(uint256 price) external onlyRole(GAME_CONFIG_ROLE) {
+        mintPrice = price;
+        emit MintPriceUpdated(price);
+    }
+
+    /**
+     * @notice Game config function to cap the number of cards in existence (0 = uncapped)
+     * @param cap Maximum supply, counting cards committed to but not revealed yet (starter cards don't count)
+     */
+    function setMaxSupply(uint256 cap) external onlyRole(GAME_CONFIG_ROLE) {
+        require(cap == 0 || cap >= totalSupply - starterSupply + reservedSupply, "Cap below supply");
+        maxSupply = cap;
+        emit SupplyCapUpdated(cap);
+    }
+
+    /**
+     * @notice Game config function to cap how many cards of a rarity can ever be minted (0 = uncapped)
+     * @dev Rolls of a sold-out rarity mint the next rarity down, so Common can't be capped
+     * @param rarity Rare to Mythic
+     * @param cap Edition size of the rarity
+     */
+    function setRarityCap(uint8 rarity, uint256 cap) external onlyRole(GAME_CONFIG_ROLE) {
+        require(rarity > uint8(Rarity.Common) && rarity <= uint8(Rarity.Mythic), "Invalid rarity");
+        require(cap == 0 || cap >= rarityMinted[rarity] + reservedRarityMints[rarity], "Cap below supply");
+        rarityCaps[rarity] = cap;
+        emit RarityCapUpdated(rarity, cap);
+    }
+
+    /**
+     * @notice Treasury function to set how mint revenue is split; revenue so far is credited with the old split
+     * @param payees Addresses to pay (e.g. team, prize pool, treasury)
+     * @param sharesBps Share of each payee in basis points, totalling 10000
+     */
+    function setPayees(address[] calldata payees, uint16[] calldata sharesBps) external onlyRole(TREASURY_ROLE) {
+        require(payees.length > 0 && payees.length <= MAX_PAYEES, "Invalid payees");
+        require(payees.length == sharesBps.length, "Length mismatch");
+        uint256 total;
+        for (uint256 i = 0; i < payees.length; i++) {
+            require(payees[i] != address(0), "Invalid payee");
+            total += sharesBps[i];
+        }
+        require(total == 10000, "Shares must total 10000");
+
+        _distribute();
+        _payees = payees;
+        _payeeShares = sharesBps;
+        emit PayeesUpdated(payees, sharesBps);
+    }
+
+    /**
+     * @notice Current mint revenue split
+     * @return payees Payee addresses
+     * @return sharesBps Share of each payee in basis points
+     */
+    function getPayees() external view returns (address[] memory payees, uint16[] memory sharesBps) {
+        return (_payees, _payeeShares);
+    }
+
+    /**
+     * @notice Treasury function to set the ERC-2981 royalty paid on secondary sales
+     * @param receiver Royalty recipient
+     * @param feeBps Royalty in basis points of the sale price (at most MAX_ROYALTY_BPS)
+     */
+    function setDefaultRoyalty(address receiver, uint96 feeBps) external onlyRole(TREASURY_ROLE) {
+        require(feeBps <= MAX_ROYALTY_BPS, "Royalty too high");
+        _setDefaultRoyalty(receiver, feeBps);
+    }
+
+    /**
+     * @notice Admin function to set the contract allowed to lock cards and record rounds
+     * @dev Only the current manager can unlock cards and return escrowed starter cards, so it can't be
+     *      replaced while it has any
+     * @param manager The BattleManager address
+     */
+    function setBattleManager(address manager) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(lockedCount == 0 && escrowedStarterCards == 0, "Battle manager holds cards");
+        battleManager = manager;
+        emit BattleManagerUpdated(manager);
+    }
+
+    /**
+     * @notice Withdraw the caller's share of mint revenue, after crediting any new revenue to the payees
+     */
+    function withdraw() external nonReentrant {
+        _distribute();
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "No funds to withdraw");
+        pendingWithdrawals[msg.sender] = 0;
+        totalPendingWithdrawals -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
         require(success, "Withdrawal failed");
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    /**
+     * @notice Stop minting: mintCard, buyPack and fuse revert while paused
+     * @dev Pending commits can still be revealed, and transfers keep working so battles can settle
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Allow minting again
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice ERC165 support for ERC721, ERC-2981 royalties and AccessControl
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721, ERC2981, AccessControl)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
     }
 
     /**
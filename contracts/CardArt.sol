@@ -0,0 +1,209 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Battlecard.sol";
+
+/**
+ * @title CardArt
+ * @notice On-chain SVG art and JSON metadata for BattleCard tokens
+ * @dev Mirrors the layout and Tailwind palette of frontend/src/components/Card.jsx
+ */
+library CardArt {
+    using Strings for uint256;
+
+    /**
+     * @notice Build the data URI returned by BattleCard.tokenURI
+     * @param tokenId The token ID
+     * @param card The card as it plays in battle (BattleCard.getCard: stats include the level bonus)
+     * @param bonus The level's stat bonus in percent (BattleCard.levelBonus)
+     * @return Base64-encoded JSON metadata with an embedded SVG image
+     */
+    function tokenURI(
+        uint256 tokenId,
+        BattleCard.Card memory card,
+        uint256 bonus
+    ) internal pure returns (string memory) {
+        string memory image = Base64.encode(bytes(_svg(tokenId, card, bonus)));
+
+        string memory json = string.concat(
+            '{"name":"Monad Battle Card #', tokenId.toString(),
+            '","description":"A ', rarityName(card.rarity), " ", characterName(card.character),
+            ' from Monad Battle Cards.",'
+        );
+        json = string.concat(
+            json,
+            '"image":"data:image/svg+xml;base64,', image, '",',
+            _attributes(card),
+            "}"
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    function characterName(uint8 character) internal pure returns (string memory) {
+        if (character == 0) return "Warrior";
+        if (character == 1) return "Mage";
+        if (character == 2) return "Cavalry";
+        if (character == 3) return "Prince";
+        return "Unknown";
+    }
+
+    function rarityName(uint8 rarity) internal pure returns (string memory) {
+        if (rarity == 0) return "Common";
+        if (rarity == 1) return "Rare";
+        if (rarity == 2) return "Epic";
+        if (rarity == 3) return "Legendary";
+        if (rarity == 4) return "Mythic";
+        return "Unknown";
+    }
+
+    function _attributes(BattleCard.Card memory card) private pure returns (string memory) {
+        string memory attributes = string.concat(
+            '"attributes":[',
+            '{"trait_type":"Character","value":"', characterName(card.character), '"},',
+            '{"trait_type":"Rarity","value":"', rarityName(card.rarity), '"},',
+            '{"trait_type":"Power","display_type":"number","value":', uint256(card.power).toString(), "},",
+            '{"trait_type":"Defense","display_type":"number","value":', uint256(card.defense).toString(), "},",
+            '{"trait_type":"Speed","display_type":"number","value":', uint256(card.speed).toString(), "},"
+        );
+        return string.concat(
+            attributes,
+            '{"trait_type":"Level","display_type":"number","value":', uint256(card.level).toString(), "},",
+            '{"trait_type":"XP","display_type":"number","value":', uint256(card.xp).toString(), "},",
+            '{"trait_type":"Wins","display_type":"number","value":', uint256(card.wins).toString(), "},",
+            '{"trait_type":"Losses","display_type":"number","value":', uint256(card.losses).toString(), "}]"
+        );
+    }
+
+    function _svg(
+        uint256 tokenId,
+        BattleCard.Card memory card,
+        uint256 bonus
+    ) private pure returns (string memory) {
+        string memory svg = string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 420" font-family="sans-serif">',
+            '<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">',
+            '<stop offset="0" stop-color="#1f2937"/><stop offset="1" stop-color="#111827"/></linearGradient>',
+            '<linearGradient id="em" x1="0" y1="0" x2="1" y2="1">',
+            '<stop offset="0" stop-color="#374151"/><stop offset="1" stop-color="#1f2937"/></linearGradient></defs>',
+            _header(tokenId, card, bonus)
+        );
+        svg = string.concat(
+            svg,
+            _statBar(250, "Power", card.power, 300, "#ef4444"),
+            _statBar(284, "Defense", card.defense, 250, "#3b82f6"),
+            _statBar(318, "Speed", card.speed, 150, "#22c55e")
+        );
+        return string.concat(
+            svg,
+            '<line x1="24" y1="346" x2="276" y2="346" stroke="#374151"/>',
+            '<text x="150" y="368" text-anchor="middle" font-size="14" fill="#9ca3af">Total Score: ',
+            '<tspan fill="#facc15" font-weight="bold">',
+            (uint256(card.power) + uint256(card.defense) + uint256(card.speed)).toString(),
+            "</tspan></text>",
+            _experience(card),
+            "</svg>"
+        );
+    }
+
+    // Rarity-coloured frame and badge, character emblem, name, ID and level
+    function _header(
+        uint256 tokenId,
+        BattleCard.Card memory card,
+        uint256 bonus
+    ) private pure returns (string memory) {
+        uint8 character = card.character;
+        string memory frame = _rarityColor(card.rarity);
+        string memory header = string.concat(
+            '<rect x="3" y="3" width="294" height="414" rx="18" fill="url(#bg)" stroke="', frame, '" stroke-width="6"/>',
+            '<rect x="186" y="16" width="98" height="26" rx="13" fill="', frame, '"/>',
+            '<text x="235" y="34" text-anchor="middle" font-size="12" font-weight="bold" fill="#f3f4f6">',
+            rarityName(card.rarity), "</text>"
+        );
+        header = string.concat(
+            header,
+            '<circle cx="150" cy="112" r="48" fill="url(#em)"/>',
+            '<text x="150" y="130" text-anchor="middle" font-size="46">', _emblem(character), "</text>",
+            '<text x="150" y="188" text-anchor="middle" font-size="22" font-weight="bold" fill="#ffffff">',
+            characterName(character), "</text>",
+            '<text x="150" y="207" text-anchor="middle" font-size="12" fill="#9ca3af">ID: ',
+            tokenId.toString(), "</text>"
+        );
+        return string.concat(
+            header,
+            '<text x="150" y="225" text-anchor="middle" font-size="12" font-weight="bold" fill="#fde047">Lv ',
+            uint256(card.level).toString(),
+            bonus > 0
+                ? string.concat('<tspan fill="#9ca3af" font-weight="normal"> (+', bonus.toString(), "% stats)</tspan>")
+                : "",
+            "</text>"
+        );
+    }
+
+    // XP towards the next level and the round record (Card.jsx battle experience)
+    function _experience(BattleCard.Card memory card) private pure returns (string memory) {
+        bool maxLevel = card.level >= CARD_MAX_LEVEL;
+        uint256 levelXp = maxLevel
+            ? CARD_XP_PER_LEVEL
+            : uint256(card.xp) - uint256(card.level) * CARD_XP_PER_LEVEL;
+
+        string memory labels = string.concat(
+            '<text x="24" y="392" font-size="12" fill="#9ca3af">',
+            maxLevel
+                ? "Max level"
+                : string.concat("XP ", levelXp.toString(), "/", uint256(CARD_XP_PER_LEVEL).toString()),
+            '</text><text x="276" y="392" text-anchor="end" font-size="12" fill="#9ca3af">',
+            uint256(card.wins).toString(), "W / ", uint256(card.losses).toString(), "L</text>"
+        );
+        return string.concat(
+            labels,
+            '<rect x="24" y="400" width="252" height="4" rx="2" fill="#374151"/>',
+            '<rect x="24" y="400" width="', (levelXp * 252 / CARD_XP_PER_LEVEL).toString(),
+            '" height="4" rx="2" fill="#facc15"/>'
+        );
+    }
+
+    function _statBar(
+        uint256 y,
+        string memory label,
+        uint16 value,
+        uint256 max,
+        string memory color
+    ) private pure returns (string memory) {
+        uint256 width = (uint256(value) * 252) / max;
+        if (width > 252) width = 252;
+
+        string memory labels = string.concat(
+            '<text x="24" y="', y.toString(), '" font-size="12" fill="#9ca3af">', label, "</text>",
+            '<text x="276" y="', y.toString(), '" text-anchor="end" font-size="12" font-weight="bold" fill="#ffffff">',
+            uint256(value).toString(), "</text>"
+        );
+        string memory barY = (y + 8).toString();
+        return string.concat(
+            labels,
+            '<rect x="24" y="', barY, '" width="252" height="8" rx="4" fill="#374151"/>',
+            '<rect x="24" y="', barY, '" width="', width.toString(),
+            '" height="8" rx="4" fill="', color, '"/>'
+        );
+    }
+
+    // Frame colour per rarity (Card.jsx RARITY_COLORS)
+    function _rarityColor(uint8 rarity) private pure returns (string memory) {
+        if (rarity == 1) return "#3b82f6"; // blue-500
+        if (rarity == 2) return "#a855f7"; // purple-500
+        if (rarity == 3) return "#eab308"; // yellow-500
+        if (rarity == 4) return "#dc2626"; // red-600
+        return "#6b7280";                  // gray-500
+    }
+
+    // Character emblem (Card.jsx character icons)
+    function _emblem(uint8 character) private pure returns (string memory) {
+        if (character == 0) return unicode"⚔️";
+        if (character == 1) return unicode"🔮";
+        if (character == 2) return unicode"🐴";
+        if (character == 3) return unicode"👑";
+        return unicode"❓";
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./Battlecard.sol";
+
+/**
+ * @title IScoringStrategy
+ * @notice Round scoring used by BattleManager; each battle is bound to one strategy when it's created
+ * @dev Strategies must be pure so a battle's outcome can't change after its lineups are committed
+ */
+interface IScoringStrategy {
+    /**
+     * @notice Display name of the strategy
+     */
+    function name() external pure returns (string memory);
+
+    /**
+     * @notice Score of a card on its own stats, before any type advantage
+     * @param card The card to score
+     */
+    function baseScore(BattleCard.Card calldata card) external pure returns (uint256);
+
+    /**
+     * @notice Round score of a card against an opposing card
+     * @param card The card to score
+     * @param opposing The card it's played against
+     */
+    function score(BattleCard.Card calldata card, BattleCard.Card calldata opposing) external pure returns (uint256);
+}
@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IScoringStrategy.sol";
+
+/**
+ * @title TypeAdvantage
+ * @notice Character matchups shared by every scoring strategy
+ */
+library TypeAdvantage {
+    // Score bonus (percent) for a card whose character beats its opponent's:
+    // Cavalry > Mage > Warrior > Cavalry, Prince is neutral
+    uint256 internal constant BONUS = 20;
+
+    /**
+     * @notice Type advantage bonus of one character over another
+     * @param attacker Character type (0-3) of the scoring card
+     * @param defender Character type (0-3) of the opposing card
+     * @return Bonus percent applied to the attacker's score (0 if none)
+     */
+    function bonus(uint8 attacker, uint8 defender) internal pure returns (uint256) {
+        // Warrior(0) > Cavalry(2), Mage(1) > Warrior(0), Cavalry(2) > Mage(1)
+        if (
+            (attacker == 0 && defender == 2) ||
+            (attacker == 1 && defender == 0) ||
+            (attacker == 2 && defender == 1)
+        ) {
+            return BONUS;
+        }
+        return 0;
+    }
+}
+
+/**
+ * @title ScoringStrategy
+ * @notice Base for strategies that weight the card stats and apply the type advantage bonus on top
+ */
+abstract contract ScoringStrategy is IScoringStrategy {
+    function baseScore(BattleCard.Card calldata card) public pure virtual returns (uint256);
+
+    function score(BattleCard.Card calldata card, BattleCard.Card calldata opposing)
+        external
+        pure
+        returns (uint256 total)
+    {
+        total = baseScore(card);
+        uint256 bonus = TypeAdvantage.bonus(card.character, opposing.character);
+        if (bonus > 0) {
+            total = (total * (100 + bonus)) / 100;
+        }
+    }
+}
+
+/**
+ * @title ClassicScoring
+ * @notice power + defense/2 + speed
+ */
+contract ClassicScoring is ScoringStrategy {
+    function name() external pure returns (string memory) {
+        return "Classic";
+    }
+
+    function baseScore(BattleCard.Card calldata card) public pure override returns (uint256) {
+        return uint256(card.power) + (uint256(card.defense) / 2) + uint256(card.speed);
+    }
+}
+
+/**
+ * @title DefensiveScoring
+ * @notice power/2 + defense*3/2 + speed/2
+ */
+contract DefensiveScoring is ScoringStrategy {
+    function name() external pure returns (string memory) {
+        return "Defensive";
+    }
+
+    function baseScore(BattleCard.Card calldata card) public pure override returns (uint256) {
+        return (uint256(card.power) / 2) + ((uint256(card.defense) * 3) / 2) + (uint256(card.speed) / 2);
+    }
+}
+
+/**
+ * @title SpeedFirstScoring
+ * @notice power/2 + defense/2 + speed*3/2
+ */
+contract SpeedFirstScoring is ScoringStrategy {
+    function name() external pure returns (string memory) {
+        return "Speed First";
+    }
+
+    function baseScore(BattleCard.Card calldata card) public pure override returns (uint256) {
+        return (uint256(card.power) / 2) + (uint256(card.defense) / 2) + ((uint256(card.speed) * 3) / 2);
+    }
+}
@@ -4,6 +4,7 @@ import ConnectWallet from "./components/ConnectWallet";
 import Collection from "./pages/Collection";
 import Battle from "./pages/Battle";
 import Home from "./pages/Home";
+import Leaderboard from "./pages/Leaderboard";
 import { getProvider } from "./lib/ethereum";
 
 function App() {
@@ -58,6 +59,7 @@ function App() {
           <Route path="/" element={<Home account={account} />} />
           <Route path="/collection" element={<Collection account={account} />} />
           <Route path="/battle" element={<Battle account={account} />} />
+          <Route path="/leaderboard" element={<Leaderboard account={account} />} />
         </Routes>
       </div>
     </Router>
@@ -107,6 +109,16 @@ function Nav({ account, onConnect }) {
             >
               Battle
             </Link>
+            <Link
+              to="/leaderboard"
+              className={`px-4 py-2 rounded-lg font-semibold transition-colors ${
+                isActive("/leaderboard")
+                  ? "bg-blue-600 text-white"
+                  : "text-gray-300 hover:text-white"
+              }`}
+            >
+              Leaderboard
+            </Link>
             <ConnectWallet account={account} onConnect={onConnect} />
           </div>
         </div>
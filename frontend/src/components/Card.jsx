@@ -1,4 +1,5 @@
 import React from "react";
+import { MAX_LEVEL, XP_PER_LEVEL } from "../lib/cards";
 
 const CHARACTER_NAMES = ["Warrior", "Mage", "Cavalry", "Prince"];
 const RARITY_NAMES = ["Common", "Rare", "Epic", "Legendary", "Mythic"];
@@ -27,6 +28,10 @@ export default function Card({ card, tokenId, selected = false, onSelect, showSt
   const speed = Number(card.speed) || 0;
   const character = Number(card.character) || 0;
   const rarity = Number(card.rarity) || 0;
+  const level = Number(card.level) || 0;
+  const xp = Number(card.xp) || 0;
+  const wins = Number(card.wins) || 0;
+  const losses = Number(card.losses) || 0;
   
   const characterName = CHARACTER_NAMES[character] || "Unknown";
   const rarityName = RARITY_NAMES[rarity] || "Unknown";
@@ -34,6 +39,9 @@ export default function Card({ card, tokenId, selected = false, onSelect, showSt
   const rarityTextColor = RARITY_TEXT_COLORS[rarity] || "text-gray-100";
 
   const totalScore = power + defense + speed;
+  const maxLevel = level >= MAX_LEVEL;
+  // XP earned towards the next level
+  const levelXp = maxLevel ? XP_PER_LEVEL : xp - level * XP_PER_LEVEL;
 
   return (
     <div
@@ -60,6 +68,10 @@ export default function Card({ card, tokenId, selected = false, onSelect, showSt
           </div>
           <h3 className="text-lg font-bold text-white">{characterName}</h3>
           {tokenId && <p className="text-xs text-gray-400">ID: {tokenId}</p>}
+          <p className="text-xs text-yellow-300 font-semibold mt-1">
+            Lv {level}
+            {level > 0 && <span className="text-gray-400 font-normal"> (+{level}% stats)</span>}
+          </p>
         </div>
 
         {showStats && (
@@ -77,6 +89,22 @@ export default function Card({ card, tokenId, selected = false, onSelect, showSt
                 Total Score: <span className="text-yellow-400 font-bold">{totalScore}</span>
               </p>
             </div>
+
+            {/* Battle Experience */}
+            <div className="mt-3">
+              <div className="flex justify-between text-xs mb-1 text-gray-400">
+                <span>{maxLevel ? "Max level" : `XP ${levelXp}/${XP_PER_LEVEL}`}</span>
+                <span>
+                  {wins}W / {losses}L
+                </span>
+              </div>
+              <div className="w-full bg-gray-700 rounded-full h-1 overflow-hidden">
+                <div
+                  className="h-full bg-yellow-400 transition-all duration-300 rounded-full"
+                  style={{ width: `${(levelXp / XP_PER_LEVEL) * 100}%` }}
+                />
+              </div>
+            </div>
           </>
         )}
 
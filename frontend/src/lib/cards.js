@@ -0,0 +1,191 @@
+import { getBattleCardContract } from "./ethereum.js";
+
+// Cards per getCardsOfOwner call
+const PAGE_SIZE = 100;
+
+// Mirrors BattleCard.XP_PER_LEVEL and BattleCard.MAX_LEVEL
+export const XP_PER_LEVEL = 100;
+export const MAX_LEVEL = 10;
+
+// Cards are cached by tokenId for the whole session; only battles change them (level, XP and record),
+// so battle views reload their cards with { refresh: true }
+const cardCache = new Map();
+// Stored stats without the level bonus, fixed at mint (so cached like the cards)
+const baseCache = new Map();
+// Whether each token is a soulbound starter card (fixed at mint, so cached like the cards)
+const starterCache = new Map();
+// Whether each token is locked in a friendly battle, kept current from CardLockUpdated events
+const lockCache = new Map();
+let lockWatcher = null;
+// Owned token IDs per lowercase owner address, kept current from Transfer events
+const ownedTokens = new Map();
+
+// Convert a Card struct from the contract into display values
+export const toCard = (tokenId, cardData) => ({
+  tokenId: tokenId.toString(),
+  power: Number(cardData.power) || 0,
+  defense: Number(cardData.defense) || 0,
+  speed: Number(cardData.speed) || 0,
+  character: Number(cardData.character) || 0,
+  rarity: Number(cardData.rarity) || 0,
+  level: Number(cardData.level) || 0,
+  xp: Number(cardData.xp) || 0,
+  wins: Number(cardData.wins) || 0,
+  losses: Number(cardData.losses) || 0,
+});
+
+// Cached card lookup; returns null if the card isn't cached yet
+export const getCachedCard = (tokenId) => cardCache.get(tokenId.toString()) || null;
+
+// Load cards by token ID, fetching only the ones not cached yet (or all of them with { refresh: true })
+// Returns an object mapping tokenId to card data (tokens that fail to load are skipped)
+export const getCards = async (tokenIds, { refresh = false } = {}) => {
+  const ids = [...new Set(tokenIds.map((id) => id.toString()))].filter((id) => id !== "0");
+  const missing = refresh ? ids : ids.filter((id) => !cardCache.has(id));
+
+  if (missing.length > 0) {
+    const contract = await getBattleCardContract();
+    if (contract) {
+      await Promise.all(
+        missing.map(async (tokenId) => {
+          try {
+            const cardData = await contract.getCard(tokenId);
+            cardCache.set(tokenId, toCard(tokenId, cardData));
+          } catch (error) {
+            console.error(`Error loading card ${tokenId}:`, error);
+          }
+        })
+      );
+    }
+  }
+
+  const cards = {};
+  for (const id of ids) {
+    if (cardCache.has(id)) cards[id] = cardCache.get(id);
+  }
+  return cards;
+};
+
+// Update cached lock flags as BattleManager locks and unlocks cards (subscribed once per session)
+const watchLocks = (contract) => {
+  if (!lockWatcher) {
+    lockWatcher = contract.on("CardLockUpdated", (tokenId, isLocked) => {
+      lockCache.set(tokenId.toString(), isLocked);
+    });
+  }
+  return lockWatcher;
+};
+
+// Token IDs among tokenIds that are locked in a friendly battle, fetched with one lockedOf call
+// for the ones not cached yet (or all of them with { refresh: true })
+export const loadLockedCards = async (tokenIds, { refresh = false } = {}) => {
+  const ids = tokenIds.map((id) => id.toString());
+  const missing = refresh ? ids : ids.filter((id) => !lockCache.has(id));
+  if (missing.length > 0) {
+    const contract = await getBattleCardContract();
+    if (!contract) return new Set();
+    await watchLocks(contract);
+    const flags = await contract.lockedOf(missing);
+    missing.forEach((tokenId, i) => lockCache.set(tokenId, flags[i]));
+  }
+  return new Set(ids.filter((id) => lockCache.get(id)));
+};
+
+// Cards as stored on-chain, without the level bonus getCard adds; fusion works from these stats.
+// Only leveled cards differ from their getCard values, so only those are fetched (with the cards getter)
+export const loadBaseCards = async (cards) => {
+  const missing = cards.filter((card) => card.level > 0 && !baseCache.has(card.tokenId));
+  if (missing.length > 0) {
+    const contract = await getBattleCardContract();
+    if (!contract) throw new Error("Contract not available");
+    const stored = await Promise.all(missing.map((card) => contract.cards(card.tokenId)));
+    missing.forEach((card, i) => baseCache.set(card.tokenId, toCard(card.tokenId, stored[i])));
+  }
+  return cards.map((card) => {
+    if (card.level === 0) return card;
+    const { power, defense, speed } = baseCache.get(card.tokenId);
+    return { ...card, power, defense, speed };
+  });
+};
+
+// Token IDs among tokenIds that are soulbound starter cards (only playable in friendly or no-prize battles),
+// fetched with one starterCardsOf call for the ones not cached yet
+export const loadStarterCards = async (tokenIds) => {
+  const ids = tokenIds.map((id) => id.toString());
+  const missing = ids.filter((id) => !starterCache.has(id));
+  if (missing.length > 0) {
+    const contract = await getBattleCardContract();
+    if (!contract) return new Set();
+    const flags = await contract.starterCardsOf(missing);
+    missing.forEach((tokenId, i) => starterCache.set(tokenId, flags[i]));
+  }
+  return new Set(ids.filter((id) => starterCache.get(id)));
+};
+
+const ownedCardList = (ownerKey) =>
+  [...(ownedTokens.get(ownerKey) || [])]
+    .map((tokenId) => cardCache.get(tokenId))
+    .filter(Boolean)
+    .sort((a, b) => Number(a.tokenId) - Number(b.tokenId));
+
+// Load every card owned by an address with the paginated getCardsOfOwner view
+// Pass { refresh: true } to ignore the owned-token list from a previous load
+export const loadOwnedCards = async (owner, { refresh = false } = {}) => {
+  if (!owner) return [];
+  const ownerKey = owner.toLowerCase();
+  if (!refresh && ownedTokens.has(ownerKey)) {
+    return ownedCardList(ownerKey);
+  }
+
+  const contract = await getBattleCardContract();
+  if (!contract) return [];
+
+  const tokenIds = new Set();
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const [pageIds, pageCards] = await contract.getCardsOfOwner(owner, offset, PAGE_SIZE);
+    pageIds.forEach((tokenId, i) => {
+      const id = tokenId.toString();
+      tokenIds.add(id);
+      cardCache.set(id, toCard(id, pageCards[i]));
+    });
+    if (pageIds.length < PAGE_SIZE) break;
+  }
+
+  ownedTokens.set(ownerKey, tokenIds);
+  console.log(`✅ Loaded ${tokenIds.size} cards for ${owner}`);
+  return ownedCardList(ownerKey);
+};
+
+// Keep an owner's card list current from Transfer events
+// onChange receives the updated card array; returns an unsubscribe function
+export const subscribeOwnedCards = async (owner, onChange) => {
+  if (!owner) return () => {};
+  const contract = await getBattleCardContract();
+  if (!contract) return () => {};
+
+  const ownerKey = owner.toLowerCase();
+  const incoming = contract.filters.Transfer(null, owner);
+  const outgoing = contract.filters.Transfer(owner, null);
+
+  const handleIncoming = async (from, to, tokenId) => {
+    const id = tokenId.toString();
+    // Refetch: a card coming back from a battle has new XP
+    await getCards([id], { refresh: true });
+    if (!ownedTokens.has(ownerKey)) ownedTokens.set(ownerKey, new Set());
+    ownedTokens.get(ownerKey).add(id);
+    onChange(ownedCardList(ownerKey));
+  };
+
+  const handleOutgoing = (from, to, tokenId) => {
+    ownedTokens.get(ownerKey)?.delete(tokenId.toString());
+    onChange(ownedCardList(ownerKey));
+  };
+
+  await contract.on(incoming, handleIncoming);
+  await contract.on(outgoing, handleOutgoing);
+
+  return () => {
+    contract.off(incoming, handleIncoming);
+    contract.off(outgoing, handleOutgoing);
+  };
+};
@@ -36,33 +36,114 @@ export const MONAD_BLITZ = {
 // Contract ABIs (minimal for MVP)
 export const BATTLE_CARD_ABI = [
   "function mintCard() external payable returns (uint256)",
-  "function getCard(uint256 tokenId) external view returns (tuple(uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity))",
+  "function buyPack(uint8 packId) external payable returns (uint256)",
+  "function revealCard(uint256 commitId) external returns (uint256)",
+  "function getPendingCommits(address minter) external view returns (uint256[])",
+  "function mintCommits(uint256 commitId) external view returns (address minter, uint64 revealBlock, bool revealed, uint8 quantity, uint8 minRarity)",
+  "function packs(uint8 packId) external view returns (uint256 price, uint8 size, uint8 guaranteedRarity)",
+  "function packCount() external view returns (uint8)",
+  "function mintPrice() external view returns (uint256)",
+  "function maxSupply() external view returns (uint256)",
+  "function starterSupply() external view returns (uint256)",
+  "function totalSupply() external view returns (uint256)",
+  "function reservedSupply() external view returns (uint256)",
+  "function REVEAL_WINDOW() external view returns (uint256)",
+  "function cards(uint256 tokenId) external view returns (uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity, uint8 level, uint32 xp, uint32 wins, uint32 losses)",
+  "function getCard(uint256 tokenId) external view returns (tuple(uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity, uint8 level, uint32 xp, uint32 wins, uint32 losses))",
   "function getOwnedTokens(address owner) external view returns (uint256[])",
+  "function getOwnedTokensPage(address owner, uint256 offset, uint256 limit) external view returns (uint256[])",
+  "function getCardsOfOwner(address owner, uint256 offset, uint256 limit) external view returns (uint256[] tokenIds, tuple(uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity, uint8 level, uint32 xp, uint32 wins, uint32 losses)[] ownedCards)",
   "function ownerOf(uint256 tokenId) external view returns (address)",
   "function balanceOf(address owner) external view returns (uint256)",
   "function approve(address to, uint256 tokenId) external",
   "function getApproved(uint256 tokenId) external view returns (address)",
   "function batchApprove(address to, uint256[] calldata tokenIds) external",
   "function transferFrom(address from, address to, uint256 tokenId) external",
+  "function locked(uint256 tokenId) external view returns (bool)",
+  "function lockedOf(uint256[] tokenIds) external view returns (bool[])",
+  "function claimStarterDeck() external returns (uint256)",
+  "function starterDeckClaimed(address account) external view returns (bool)",
+  "function starterCard(uint256 tokenId) external view returns (bool)",
+  "function starterCardsOf(uint256[] tokenIds) external view returns (bool[])",
+  "function paused() external view returns (bool)",
+  "function fuse(uint256[] calldata tokenIds) external returns (uint256)",
+  "function FUSION_SIZE() external view returns (uint8)",
+  "function fusions(uint256 commitId) external view returns (uint8 rarity, uint8 character)",
   "function nextId() external view returns (uint256)",
   "event CardMinted(address indexed owner, uint256 indexed tokenId, uint8 character, uint8 rarity, uint16 power, uint16 defense, uint16 speed)",
+  "event MintCommitted(address indexed minter, uint256 indexed commitId, uint64 revealBlock, uint8 quantity)",
+  "event CardsFused(address indexed owner, uint256 indexed commitId, uint256[] burnedTokenIds, uint8 rarity, uint8 character)",
+  "event StarterDeckClaimed(address indexed owner, uint256 firstTokenId)",
+  "event CardLockUpdated(uint256 indexed tokenId, bool locked)",
 ];
 
 export const BATTLE_MANAGER_ABI = [
-  "function createBattle(address opponent, uint256[3] calldata myCards) external returns (uint256)",
-  "function joinBattle(uint256 battleId, uint256[3] calldata opponentCards) external",
+  "function createBattle(address opponent, uint8 format, uint256[] calldata myCards, bytes32 lineupHash, address scoringStrategy, uint256 duration, bool friendly) external payable returns (uint256)",
+  "function joinBattle(uint256 battleId, uint256[] calldata opponentCards, bytes32 lineupHash) external payable",
+  "function acceptOffer(tuple(address starter, address opponent, uint8 format, uint256[] starterCards, bytes32 lineupHash, address scoringStrategy, uint256 nonce, uint256 deadline) offer, bytes signature, uint256[] opponentCards, bytes32 lineupHash) external returns (uint256)",
+  "function cancelOffer(uint256 nonce) external",
+  "function offerNonceUsed(address starter, uint256 nonce) external view returns (bool)",
+  "function hashOffer(tuple(address starter, address opponent, uint8 format, uint256[] starterCards, bytes32 lineupHash, address scoringStrategy, uint256 nonce, uint256 deadline) offer) external view returns (bytes32)",
+  "function revealLineup(uint256 battleId, uint256[] calldata lineup, bytes32 salt) external",
+  "function deckSize(uint8 format) external pure returns (uint8)",
+  "function claimForfeit(uint256 battleId) external",
+  "function computeLineupHash(address player, uint256[] calldata lineup, bytes32 salt) external pure returns (bytes32)",
+  "function LINEUP_REVEAL_TIMEOUT() external view returns (uint256)",
   "function revealRound(uint256 battleId) external",
+  "function resolveBattle(uint256 battleId) external",
   "function claimReward(uint256 battleId, uint8 prizeCardIndex) external",
+  "function releaseCards(uint256 battleId) external",
+  "function cardsClaimed(uint256 battleId, address account) external view returns (bool)",
+  "function getClaimable(address account) external view returns (tuple(uint256 battleId, uint256[] tokenIds, bool ready)[])",
+  "function defaultPrizeIndex(uint256 battleId) external view returns (uint8)",
+  "function CLAIM_WINDOW() external view returns (uint256)",
   "function cancelBattle(uint256 battleId) external",
-  "function getBattle(uint256 battleId) external view returns (tuple(address starter, address opponent, uint256[3] starterCards, uint256[3] opponentCards, uint8 starterWins, uint8 opponentWins, uint8 currentRound, uint8 status, uint256 createdAt, address winner))",
+  "function declineChallenge(uint256 battleId) external",
+  "function paused() external view returns (bool)",
+  "function getBattle(uint256 battleId) external view returns (tuple(address starter, address opponent, uint256[] starterCards, uint256[] opponentCards, uint8 starterWins, uint8 opponentWins, uint8 currentRound, uint8 status, uint8 format, uint256 createdAt, address winner, bytes32 starterLineupHash, bytes32 opponentLineupHash, bool starterLineupRevealed, bool opponentLineupRevealed, uint256 joinedAt, uint256 wager, uint16 feeBps, uint256 resolvedAt, uint256 prizeTokenId, address scoringStrategy, uint256 expiresAt, bool friendly, bool noPrize))",
   "function battleCard() external view returns (address)",
-  "event BattleCreated(uint256 indexed battleId, address indexed starter, address indexed opponent, uint256[3] starterCards)",
-  "event BattleJoined(uint256 indexed battleId, address indexed opponent, uint256[3] opponentCards)",
-  "event RoundResolved(uint256 indexed battleId, uint8 indexed roundIndex, uint256 starterCardId, uint256 opponentCardId, bool starterWon)",
+  "function openBattleCount() external view returns (uint256)",
+  "function battleCountOf(address player) external view returns (uint256)",
+  "function getBattlesOf(address player, uint256 offset, uint256 limit) external view returns (uint256[])",
+  "function getPendingChallengesFor(address opponent) external view returns (uint256[])",
+  "function getBattles(uint256[] ids) external view returns (tuple(address starter, address opponent, uint256[] starterCards, uint256[] opponentCards, uint8 starterWins, uint8 opponentWins, uint8 currentRound, uint8 status, uint8 format, uint256 createdAt, address winner, bytes32 starterLineupHash, bytes32 opponentLineupHash, bool starterLineupRevealed, bool opponentLineupRevealed, uint256 joinedAt, uint256 wager, uint16 feeBps, uint256 resolvedAt, uint256 prizeTokenId, address scoringStrategy, uint256 expiresAt, bool friendly, bool noPrize)[])",
+  "function getOpenBattles(uint256 offset, uint256 limit) external view returns (tuple(uint256 battleId, address starter, uint8 format, uint256[] starterCards, uint256 deckScore, uint256 wager, uint256 createdAt, address scoringStrategy, uint256 expiresAt, bool friendly, bool noPrize)[])",
+  "function deckScore(uint256[] cards) external view returns (uint256)",
+  "function DEFAULT_CHALLENGE_DURATION() external view returns (uint256)",
+  "function minChallengeDuration() external view returns (uint256)",
+  "function maxChallengeDuration() external view returns (uint256)",
+  "function protocolFeeBps() external view returns (uint16)",
+  "function wagerPayout(uint256 battleId) external view returns (uint256 payout, uint256 fee)",
+  "function pendingWithdrawals(address account) external view returns (uint256)",
+  "function withdraw() external",
+  "function getTypeAdvantageMatrix() external pure returns (uint256[4][4])",
+  "function getScoringStrategies() external view returns (address[])",
+  "function getPlayerStats(address player) external view returns (tuple(uint32 rating, uint32 wins, uint32 losses, uint32 draws, uint32 winStreak))",
+  "function getLeaderboard(uint256 limit) external view returns (address[] players, tuple(uint32 rating, uint32 wins, uint32 losses, uint32 draws, uint32 winStreak)[] stats)",
+  "function rankedPlayerCount() external view returns (uint256)",
+  "function defaultScoringStrategy() external view returns (address)",
+  "event BattleCreated(uint256 indexed battleId, address indexed starter, address indexed opponent, uint8 format, uint256[] starterCards)",
+  "event BattleJoined(uint256 indexed battleId, address indexed opponent, uint256[] opponentCards)",
+  "event LineupRevealed(uint256 indexed battleId, address indexed player, uint256[] lineup)",
+  "event LineupForfeited(uint256 indexed battleId, address indexed player)",
+  "event RoundResolved(uint256 indexed battleId, uint8 indexed roundIndex, uint256 starterCardId, uint256 opponentCardId, bool starterWon, bool draw)",
   "event BattleResolved(uint256 indexed battleId, address indexed winner)",
+  "event CardsReleased(uint256 indexed battleId, address indexed loser, uint256 indexed prizeTokenId)",
+  "event WagerSettled(uint256 indexed battleId, address indexed winner, uint256 payout, uint256 fee)",
+  "event Withdrawal(address indexed account, uint256 amount)",
+  "event OfferAccepted(uint256 indexed battleId, address indexed starter, uint256 nonce)",
+  "event OfferCancelled(address indexed starter, uint256 nonce)",
+  "event RatingUpdated(uint256 indexed battleId, address indexed player, uint32 rating)",
   "event CardClaimed(uint256 indexed battleId, address indexed winner, uint256 indexed claimedTokenId)",
 ];
 
+// Card tuple matches BattleCard.Card: (power, defense, speed, character, rarity, level, xp, wins, losses)
+export const SCORING_STRATEGY_ABI = [
+  "function name() external pure returns (string)",
+  "function baseScore(tuple(uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity, uint8 level, uint32 xp, uint32 wins, uint32 losses) card) external pure returns (uint256)",
+  "function score(tuple(uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity, uint8 level, uint32 xp, uint32 wins, uint32 losses) card, tuple(uint16 power, uint16 defense, uint16 speed, uint8 character, uint8 rarity, uint8 level, uint32 xp, uint32 wins, uint32 losses) opposing) external pure returns (uint256)",
+];
+
 // Helper to get provider
 export const getProvider = () => {
   if (typeof window !== "undefined" && window.ethereum) {
@@ -107,6 +188,13 @@ export const getBattleManagerContract = async () => {
   }
 };
 
+// Scoring strategy contracts are pure, so a read-only provider is enough
+export const getScoringStrategyContract = (address) => {
+  const provider = getProvider();
+  if (!provider || !address) return null;
+  return new ethers.Contract(address, SCORING_STRATEGY_ABI, provider);
+};
+
 // Helper to check/add Monad Blitz network
 export const addMonadBlitzNetwork = async () => {
   if (!window.ethereum) {
@@ -0,0 +1,40 @@
+import { ethers } from "ethers";
+
+// Lineups are committed as keccak256(abi.encode(player, orderedCards, salt)) and revealed after both
+// players have joined. The order and salt are kept in localStorage (keyed by the commitment hash)
+// so the reveal still works after a page reload.
+const STORAGE_PREFIX = "monad-battle-cards:lineup:";
+
+// Mirrors BattleManager.computeLineupHash
+export const computeLineupHash = (player, lineup, salt) =>
+  ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "uint256[]", "bytes32"],
+      [player, lineup, salt]
+    )
+  );
+
+// Cards are escrowed in ascending order so the transaction doesn't leak the lineup
+export const sortForEscrow = (lineup) =>
+  [...lineup].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+
+// Create and save a commitment for an ordered lineup; call before sending the transaction
+export const commitLineup = (player, lineup) => {
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const order = lineup.map((id) => id.toString());
+  const hash = computeLineupHash(player, order, salt);
+  localStorage.setItem(STORAGE_PREFIX + hash, JSON.stringify({ lineup: order, salt }));
+  return { hash, salt, lineup: order };
+};
+
+// Saved { lineup, salt } for a commitment hash, or null if this browser didn't make it
+export const getSavedLineup = (hash) => {
+  try {
+    const saved = localStorage.getItem(STORAGE_PREFIX + hash);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+};
+
+export const forgetLineup = (hash) => localStorage.removeItem(STORAGE_PREFIX + hash);
@@ -0,0 +1,73 @@
+import { ethers } from "ethers";
+import { BATTLE_MANAGER_ADDRESS } from "./ethereum.js";
+
+// Invite links carry a starter's EIP-712 signed BattleOffer; nothing is escrowed until the opponent
+// accepts it with BattleManager.acceptOffer
+const INVITE_PARAM = "offer";
+
+// How long an invite can be accepted for
+export const OFFER_LIFETIME_SECONDS = 24 * 60 * 60;
+
+// Mirrors BattleManager.BATTLE_OFFER_TYPEHASH
+export const OFFER_TYPES = {
+  BattleOffer: [
+    { name: "starter", type: "address" },
+    { name: "opponent", type: "address" },
+    { name: "format", type: "uint8" },
+    { name: "starterCards", type: "uint256[]" },
+    { name: "lineupHash", type: "bytes32" },
+    { name: "scoringStrategy", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const getOfferDomain = (chainId) => ({
+  name: "BattleManager",
+  version: "1",
+  chainId,
+  verifyingContract: BATTLE_MANAGER_ADDRESS,
+});
+
+// Build an offer with a random nonce (nonces only need to be unused, not sequential)
+export const buildOffer = ({ starter, opponent, format, starterCards, lineupHash, scoringStrategy }) => ({
+  starter,
+  opponent,
+  format: Number(format),
+  starterCards: starterCards.map((id) => id.toString()),
+  lineupHash,
+  scoringStrategy,
+  nonce: ethers.toBigInt(ethers.randomBytes(32)).toString(),
+  deadline: (Math.floor(Date.now() / 1000) + OFFER_LIFETIME_SECONDS).toString(),
+});
+
+export const signOffer = async (signer, offer) => {
+  const { chainId } = await signer.provider.getNetwork();
+  return signer.signTypedData(getOfferDomain(chainId), OFFER_TYPES, offer);
+};
+
+// Shareable Battle page link for a signed offer
+export const buildInviteLink = (offer, signature) => {
+  const url = new URL("/battle", window.location.origin);
+  url.searchParams.set(INVITE_PARAM, btoa(JSON.stringify({ offer, signature })));
+  return url.toString();
+};
+
+// { offer, signature } from the current page's query string, or null if there's no valid invite
+export const readInvite = (search) => {
+  const encoded = new URLSearchParams(search).get(INVITE_PARAM);
+  if (!encoded) return null;
+  try {
+    const { offer, signature } = JSON.parse(atob(encoded));
+    return offer && signature ? { offer, signature } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Drop the invite from the address bar once it's been accepted or dismissed
+export const clearInviteFromUrl = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(INVITE_PARAM);
+  window.history.replaceState(null, "", url.toString());
+};
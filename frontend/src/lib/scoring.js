@@ -0,0 +1,59 @@
+import { getBattleManagerContract, getScoringStrategyContract } from "./ethereum.js";
+
+// Strategies are pure contracts, so names and scores are cached for the whole session
+const strategyNames = new Map();
+const scoreCache = new Map();
+
+const toCardStruct = (card) => ({
+  power: card.power,
+  defense: card.defense,
+  speed: card.speed,
+  character: card.character,
+  rarity: card.rarity,
+  level: card.level,
+  xp: card.xp,
+  wins: card.wins,
+  losses: card.losses,
+});
+
+const cardKey = (card) =>
+  [card.power, card.defense, card.speed, card.character, card.rarity, card.level, card.xp, card.wins, card.losses].join(",");
+
+// Display name of a scoring strategy contract
+export const getStrategyName = async (address) => {
+  const key = address.toLowerCase();
+  if (!strategyNames.has(key)) {
+    const strategy = getScoringStrategyContract(address);
+    if (!strategy) return "Unknown";
+    strategyNames.set(key, await strategy.name());
+  }
+  return strategyNames.get(key);
+};
+
+// Allowlisted strategies as [{ address, name, isDefault }]
+export const loadScoringStrategies = async () => {
+  const managerContract = await getBattleManagerContract();
+  if (!managerContract) return [];
+  const [addresses, defaultAddress] = await Promise.all([
+    managerContract.getScoringStrategies(),
+    managerContract.defaultScoringStrategy(),
+  ]);
+  return Promise.all(
+    addresses.map(async (address) => ({
+      address,
+      name: await getStrategyName(address),
+      isDefault: address.toLowerCase() === defaultAddress.toLowerCase(),
+    }))
+  );
+};
+
+// Round score of a card against an opposing card, computed by the battle's strategy contract
+export const getRoundScore = async (strategyAddress, card, opposingCard) => {
+  const key = `${strategyAddress.toLowerCase()}:${cardKey(card)}:${cardKey(opposingCard)}`;
+  if (!scoreCache.has(key)) {
+    const strategy = getScoringStrategyContract(strategyAddress);
+    if (!strategy) return null;
+    scoreCache.set(key, Number(await strategy.score(toCardStruct(card), toCardStruct(opposingCard))));
+  }
+  return scoreCache.get(key);
+};
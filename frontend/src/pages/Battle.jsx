@@ -1,12 +1,54 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { ethers } from "ethers";
 import Card from "../components/Card";
 import {
+  BATTLE_MANAGER_ADDRESS,
   getBattleCardContract,
   getBattleManagerContract,
   getProvider,
   formatAddress,
 } from "../lib/ethereum";
+import { getCards, loadLockedCards, loadOwnedCards, loadStarterCards, subscribeOwnedCards } from "../lib/cards";
+import { commitLineup, forgetLineup, getSavedLineup, sortForEscrow } from "../lib/lineups";
+import { getRoundScore, getStrategyName, loadScoringStrategies } from "../lib/scoring";
+import { buildInviteLink, buildOffer, clearInviteFromUrl, readInvite, signOffer } from "../lib/offers";
+
+// Open challenges per getOpenBattles call
+const LOBBY_PAGE_SIZE = 50;
+
+// Most recent battles shown in Battle History
+const HISTORY_SIZE = 30;
+
+// Mirrors BattleManager.BattleFormat and deckSize: one card per round
+const BATTLE_FORMATS = [
+  { id: 0, name: "Quick Duel", deckSize: 1 },
+  { id: 1, name: "Best of 3", deckSize: 3 },
+  { id: 2, name: "Best of 5", deckSize: 5 },
+];
+const getFormat = (formatId) => BATTLE_FORMATS[Number(formatId)] || BATTLE_FORMATS[1];
+
+// Pause between rounds when replaying RoundResolved events
+const ROUND_ANIMATION_DELAY = 1500;
+
+// How long a new challenge stays joinable; 0 uses BattleManager.DEFAULT_CHALLENGE_DURATION
+const CHALLENGE_DURATIONS = [
+  { seconds: 15 * 60, label: "15 minutes" },
+  { seconds: 0, label: "1 hour" },
+  { seconds: 24 * 60 * 60, label: "1 day" },
+  { seconds: 7 * 24 * 60 * 60, label: "7 days" },
+];
+
+// "2h 05m" style time left until a unix timestamp
+const formatTimeLeft = (expiresAt, now) => {
+  const seconds = Math.max(0, expiresAt - now);
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const pad = (value) => String(value).padStart(2, "0");
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  return `${minutes}m ${pad(seconds % 60)}s`;
+};
 
 const BATTLE_STATUS = {
   0: "Waiting for Opponent",
@@ -18,24 +60,156 @@ const BATTLE_STATUS = {
 
 export default function Battle({ account }) {
   const [userCards, setUserCards] = useState([]);
+  const [lockedCards, setLockedCards] = useState(new Set()); // Owned cards locked in a friendly battle
+  const [starterCards, setStarterCards] = useState(new Set()); // Owned soulbound starter cards
+  const [inviteNoPrize, setInviteNoPrize] = useState(false); // The opened invite's deck holds starter cards
   const [selectedCards, setSelectedCards] = useState([]);
-  const [mode, setMode] = useState("create"); // "create" or "join"
+  const [mode, setMode] = useState("create"); // "create", "join", "lobby" or "invite"
   const [opponentAddress, setOpponentAddress] = useState("");
+  const [format, setFormat] = useState(1); // BattleFormat chosen when creating a battle
+  const [scoringStrategies, setScoringStrategies] = useState([]); // Allowlisted strategies: [{ address, name, isDefault }]
+  const [scoringStrategy, setScoringStrategy] = useState(""); // Strategy chosen when creating a battle ("" = default)
+  const [openChallenge, setOpenChallenge] = useState(false); // Create without an opponent; anyone can join from the lobby
+  const [lobby, setLobby] = useState([]); // Open challenges that can still be joined
+  const [wagerInput, setWagerInput] = useState(""); // Optional MON wager when creating a battle
+  const [challengeDuration, setChallengeDuration] = useState(0); // Seconds a new challenge stays joinable
+  const [sendAsInvite, setSendAsInvite] = useState(false); // Sign an offer instead of escrowing on-chain
+  const [friendlyBattle, setFriendlyBattle] = useState(false); // Lock cards in the wallets instead of staking them
+  const [battlesPaused, setBattlesPaused] = useState(false); // New battles paused by the pauser role
+  const [inviteLink, setInviteLink] = useState(null); // { url, nonce } of the last signed offer
+  const [invite, setInvite] = useState(null); // { offer, signature } opened from an invite link
+  const [protocolFeeBps, setProtocolFeeBps] = useState(null);
+  const [pendingWithdrawal, setPendingWithdrawal] = useState(0n); // MON owed from wager payouts and refunds
+  const [claimable, setClaimable] = useState([]); // Settled battles with cards this account hasn't collected
+  const [inbox, setInbox] = useState([]); // IDs of challenges addressed to this account that can still be joined
   const [battleId, setBattleId] = useState("");
   const [battle, setBattle] = useState(null);
   const [loading, setLoading] = useState(false);
   const [battleCards, setBattleCards] = useState({}); // Maps tokenId to card data
-  const [revealedRounds, setRevealedRounds] = useState([]); // Array of {round, starterCard, opponentCard, starterWon}
+  const [revealedRounds, setRevealedRounds] = useState([]); // Array of {round, starterCard, opponentCard, starterWon, draw}
+  const [roundScores, setRoundScores] = useState({}); // Round index => { starter, opponent } from the battle's strategy
+  const [battleStrategyName, setBattleStrategyName] = useState("");
+  const [playAllRounds, setPlayAllRounds] = useState(false); // Use resolveBattle instead of one revealRound per round
+  const [animatingRound, setAnimatingRound] = useState(null); // Round currently being replayed from events
+  const animatingRounds = useRef(false); // Pauses polling so replayed rounds aren't overwritten
+  const loadedCardsRound = useRef(null); // Battle and round the battle cards were last fetched at
+  const loadedLocksStatus = useRef(null); // Battle status the card locks were last fetched at
   const [historyMode, setHistoryMode] = useState(false); // Toggle between current battle and history
   const [battleHistory, setBattleHistory] = useState([]);
   const [historyFilter, setHistoryFilter] = useState("all"); // "all", "wins", "losses"
+  const [typeMatrix, setTypeMatrix] = useState(null); // [attacker][defender] bonus percent from BattleManager
+  const [lineupRevealDeadline, setLineupRevealDeadline] = useState(null); // Unix timestamp while lineups are hidden
+  const [claimDeadline, setClaimDeadline] = useState(null); // Unix timestamp while the winner's prize is unclaimed
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000)); // Ticks while countdowns are shown
+
+  useEffect(() => {
+    if (!account) return;
+    loadUserCards();
+
+    // Keep the card picker current as cards move in and out of escrow
+    let unsubscribe = () => {};
+    let cancelled = false;
+    subscribeOwnedCards(account, setUserCards).then((off) => {
+      if (cancelled) off();
+      else unsubscribe = off;
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [account]);
+
+  // Cards in a friendly battle stay in the wallet but can't be picked again until it ends.
+  // Locks are cached, but refetched when the battle changes status in case its lock events haven't arrived yet
+  useEffect(() => {
+    const status = battle?.status ?? null;
+    const refresh = loadedLocksStatus.current !== status;
+    loadedLocksStatus.current = status;
+    loadLockedCards(userCards.map((card) => card.tokenId), { refresh })
+      .then(setLockedCards)
+      .catch((error) => console.error("Error loading card locks:", error));
+  }, [userCards, battle?.status]);
+
+  // Starter cards can only be played in friendly or no-prize battles
+  useEffect(() => {
+    loadStarterCards(userCards.map((card) => card.tokenId))
+      .then(setStarterCards)
+      .catch((error) => console.error("Error loading starter cards:", error));
+  }, [userCards]);
+
+  // An invite whose deck holds starter cards becomes a no-prize battle once accepted
+  useEffect(() => {
+    if (!invite) return;
+    loadStarterCards(invite.offer.starterCards)
+      .then((found) => setInviteNoPrize(found.size > 0))
+      .catch((error) => console.error("Error loading starter cards:", error));
+  }, [invite]);
+
+  useEffect(() => {
+    const found = readInvite(window.location.search);
+    if (found) {
+      setInvite(found);
+      setMode("invite");
+    }
+  }, []);
+
+  useEffect(() => {
+    if (account && !typeMatrix) {
+      loadTypeMatrix();
+    }
+  }, [account]);
 
   useEffect(() => {
     if (account) {
-      loadUserCards();
+      loadWagerInfo();
+      loadInbox();
+      loadScoringStrategies()
+        .then(setScoringStrategies)
+        .catch((error) => console.error("Error loading scoring strategies:", error));
     }
   }, [account]);
 
+  useEffect(() => {
+    if (!battle?.scoringStrategy) return;
+    getStrategyName(battle.scoringStrategy)
+      .then(setBattleStrategyName)
+      .catch(() => setBattleStrategyName(formatAddress(battle.scoringStrategy)));
+  }, [battle?.scoringStrategy]);
+
+  // Ask the battle's strategy contract for each round's scores instead of re-implementing the formula
+  useEffect(() => {
+    const strategy = battle?.scoringStrategy;
+    if (!strategy || revealedRounds.length === 0) return;
+    let cancelled = false;
+    Promise.all(
+      revealedRounds.map(async (round) => {
+        const starterCard = battleCards[round.starterCard];
+        const opponentCard = battleCards[round.opponentCard];
+        if (!starterCard || !opponentCard) return null;
+        const [starter, opponent] = await Promise.all([
+          getRoundScore(strategy, starterCard, opponentCard),
+          getRoundScore(strategy, opponentCard, starterCard),
+        ]);
+        return [round.round, { starter, opponent }];
+      })
+    )
+      .then((scores) => {
+        if (!cancelled) setRoundScores(Object.fromEntries(scores.filter(Boolean)));
+      })
+      .catch((error) => console.error("Error loading round scores:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [battle?.scoringStrategy, revealedRounds, battleCards]);
+
+  // Tick once a second while a challenge, reveal or claim countdown is on screen
+  const showingCountdown = mode === "lobby" || battle?.status === 0 || lineupRevealDeadline !== null || claimDeadline !== null;
+  useEffect(() => {
+    if (!showingCountdown) return;
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, [showingCountdown]);
+
   useEffect(() => {
     if (battleId && account) {
       loadBattle();
@@ -47,100 +221,76 @@ export default function Battle({ account }) {
     }
   }, [battleId, account]);
 
-  const loadUserCards = async () => {
+  const loadUserCards = async ({ refresh = false } = {}) => {
     if (!account) return;
     try {
-      const contract = await getBattleCardContract();
-      if (!contract) return;
-
-      // Debug: Check network and account
-      const provider = getProvider();
-      if (!provider) {
-        console.error("❌ Provider not available");
-        return;
-      }
-
-      const network = await provider.getNetwork();
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
-      const signerLower = signerAddress.toLowerCase();
-      
-      console.log("🌐 Network:", {
-        chainId: network.chainId.toString(),
-        name: network.name,
-        account: account,
-        signerAddress: signerAddress,
-        match: account.toLowerCase() === signerLower,
-      });
-
-      // Get balance first (using signer address)
-      const balance = await contract.balanceOf(signerAddress);
-      console.log(`📊 Your balance: ${balance.toString()} cards`);
+      setUserCards(await loadOwnedCards(account, { refresh }));
+    } catch (error) {
+      console.error("❌ Error loading cards:", error);
+    }
+  };
 
-      if (Number(balance) === 0) {
-        console.log("✅ No cards owned");
-        setUserCards([]);
-        return;
-      }
+  const loadTypeMatrix = async () => {
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) return;
+      const matrix = await managerContract.getTypeAdvantageMatrix();
+      setTypeMatrix(matrix.map((row) => row.map((bonus) => Number(bonus))));
+    } catch (error) {
+      console.error("Error loading type advantage matrix:", error);
+    }
+  };
 
-      // Get next token ID to know the range
-      const nextId = await contract.nextId();
-      const nextIdNum = Number(nextId);
-      console.log(`📋 Next token ID: ${nextIdNum} (checking tokens 1-${nextIdNum - 1})`);
+  const loadWagerInfo = async () => {
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) return;
+      const [owed, feeBps, paused] = await Promise.all([
+        managerContract.pendingWithdrawals(account),
+        managerContract.protocolFeeBps(),
+        managerContract.paused(),
+      ]);
+      setPendingWithdrawal(owed);
+      setProtocolFeeBps(Number(feeBps));
+      setBattlesPaused(paused);
 
-      // Iterate through all possible token IDs and check ownership directly
-      // This uses ownerOf() as the source of truth, avoiding stale data from getOwnedTokens
-      const ownedCards = [];
-      
-      // Check tokens in batches to avoid too many calls at once
-      const batchSize = 10;
-      for (let startId = 1; startId < nextIdNum; startId += batchSize) {
-        const endId = Math.min(startId + batchSize, nextIdNum);
-        const batchPromises = [];
-        
-        for (let i = startId; i < endId; i++) {
-          batchPromises.push(
-            (async () => {
-              try {
-                // Check ownership directly - ownerOf is the source of truth
-                const owner = await contract.ownerOf(i);
-                if (owner.toLowerCase() === signerLower) {
-                  // This card is owned by the user
-                  const cardData = await contract.getCard(i);
-                  return {
-                    tokenId: i.toString(),
-                    power: Number(cardData.power) || 0,
-                    defense: Number(cardData.defense) || 0,
-                    speed: Number(cardData.speed) || 0,
-                    character: Number(cardData.character) || 0,
-                    rarity: Number(cardData.rarity) || 0,
-                  };
-                }
-              } catch (error) {
-                // Token doesn't exist or error checking - skip it
-                return null;
-              }
-              return null;
-            })()
-          );
-        }
-        
-        const batchResults = await Promise.all(batchPromises);
-        const validBatchCards = batchResults.filter((c) => c !== null);
-        ownedCards.push(...validBatchCards);
-        
-        console.log(`🔍 Checked tokens ${startId}-${endId - 1}, found ${validBatchCards.length} owned cards`);
-      }
+      const unclaimed = await managerContract.getClaimable(account);
+      setClaimable(
+        unclaimed.map((entry) => ({
+          battleId: entry.battleId.toString(),
+          tokenIds: entry.tokenIds.map((id) => id.toString()),
+          ready: entry.ready,
+        }))
+      );
+    } catch (error) {
+      console.error("Error loading wager info:", error);
+    }
+  };
 
-      console.log(`✅ Loaded ${ownedCards.length} cards you actually own (verified via ownerOf)`);
-      setUserCards(ownedCards);
+  const withdrawWinnings = async () => {
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+      const tx = await managerContract.withdraw();
+      await tx.wait();
+      await loadWagerInfo();
     } catch (error) {
-      console.error("❌ Error loading cards:", error);
+      console.error("Error withdrawing:", error);
+      alert(`Failed to withdraw: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
     }
   };
 
+  // Winner's payout for a battle's pot, after the fee locked in when it was created
+  const getWagerPayout = (battleData) => {
+    const pot = battleData.wager * 2n;
+    return pot - (pot * BigInt(battleData.feeBps)) / 10000n;
+  };
+
   const loadBattle = async () => {
-    if (!battleId) return;
+    if (!battleId || animatingRounds.current) return;
     try {
       const managerContract = await getBattleManagerContract();
       if (!managerContract) return;
@@ -156,10 +306,55 @@ export default function Battle({ account }) {
         opponentWins: Number(battleData.opponentWins) || 0,
         currentRound: Number(battleData.currentRound) || 0,
         status: Number(battleData.status) || 0,
+        format: Number(battleData.format),
         winner: battleData.winner,
         createdAt: Number(battleData.createdAt) || 0,
+        starterLineupHash: battleData.starterLineupHash,
+        opponentLineupHash: battleData.opponentLineupHash,
+        starterLineupRevealed: battleData.starterLineupRevealed,
+        opponentLineupRevealed: battleData.opponentLineupRevealed,
+        joinedAt: Number(battleData.joinedAt) || 0,
+        wager: battleData.wager,
+        feeBps: Number(battleData.feeBps) || 0,
+        resolvedAt: Number(battleData.resolvedAt) || 0,
+        prizeTokenId: battleData.prizeTokenId.toString(),
+        scoringStrategy: battleData.scoringStrategy,
+        // Last timestamp the challenge can be joined (0 for battles started from an invite)
+        expiresAt: Number(battleData.expiresAt) || 0,
+        friendly: battleData.friendly,
+        // Started with starter cards: no wager or prize, both decks are returned
+        noPrize: battleData.noPrize,
+        // This account's entry in the settlement ledger
+        claimed: await managerContract.cardsClaimed(battleId, account),
       };
       setBattle(battleState);
+
+      // Resolved and cancelled battles may have credited a payout, refund or claimable cards
+      if (battleState.status >= 3) {
+        await loadWagerInfo();
+      }
+
+      // Track the lineup reveal deadline until both lineups are revealed
+      if (battleState.status === 1 && !(battleState.starterLineupRevealed && battleState.opponentLineupRevealed)) {
+        const timeout = await managerContract.LINEUP_REVEAL_TIMEOUT();
+        setLineupRevealDeadline(battleState.joinedAt + Number(timeout));
+      } else {
+        setLineupRevealDeadline(null);
+      }
+
+      // Track the winner's claim window until the prize is claimed or released
+      if (
+        battleState.status === 3 &&
+        !battleState.friendly &&
+        !battleState.noPrize &&
+        battleState.prizeTokenId === "0" &&
+        battleState.winner !== ethers.ZeroAddress
+      ) {
+        const claimWindow = await managerContract.CLAIM_WINDOW();
+        setClaimDeadline(battleState.resolvedAt + Number(claimWindow));
+      } else {
+        setClaimDeadline(null);
+      }
       
       // Load card data for this battle
       if (battleState.status >= 1 && battleState.status <= 3) {
@@ -175,31 +370,11 @@ export default function Battle({ account }) {
     if (!battleData) return;
     
     try {
-      const contract = await getBattleCardContract();
-      if (!contract) return;
-      
-      const cards = {};
-      const allCardIds = [...battleData.starterCards, ...battleData.opponentCards];
-      
-      // Load all 6 cards
-      for (const cardId of allCardIds) {
-        if (cardId && cardId !== "0") {
-          try {
-            const cardData = await contract.getCard(cardId);
-            cards[cardId] = {
-              tokenId: cardId.toString(),
-              power: Number(cardData.power) || 0,
-              defense: Number(cardData.defense) || 0,
-              speed: Number(cardData.speed) || 0,
-              character: Number(cardData.character) || 0,
-              rarity: Number(cardData.rarity) || 0,
-            };
-          } catch (error) {
-            console.error(`Error loading card ${cardId}:`, error);
-          }
-        }
-      }
-      
+      // Refetch after each revealed round, which changes the cards' level, XP and record
+      const roundKey = `${battleId}:${battleData.currentRound}`;
+      const refresh = loadedCardsRound.current !== roundKey;
+      const cards = await getCards([...battleData.starterCards, ...battleData.opponentCards], { refresh });
+      loadedCardsRound.current = roundKey;
       setBattleCards(cards);
     } catch (error) {
       console.error("Error loading battle cards:", error);
@@ -223,6 +398,7 @@ export default function Battle({ account }) {
         starterCard: event.args.starterCardId.toString(),
         opponentCard: event.args.opponentCardId.toString(),
         starterWon: event.args.starterWon,
+        draw: event.args.draw,
       }));
       
       // Sort by round number
@@ -233,6 +409,28 @@ export default function Battle({ account }) {
     }
   };
 
+  // Starter cards can join a battle only if it's friendly or no-prize
+  const startersAllowed =
+    mode === "create" ||
+    (mode === "join" && battle && (battle.friendly || battle.noPrize)) ||
+    (mode === "invite" && inviteNoPrize);
+
+  // Cards that can be put into a new battle
+  const availableCards = userCards.filter(
+    (card) => !lockedCards.has(card.tokenId) && (startersAllowed || !starterCards.has(card.tokenId))
+  );
+
+  // A non-friendly battle started with a starter card is a no-prize battle
+  const creatingNoPrize = !friendlyBattle && selectedCards.some((tokenId) => starterCards.has(tokenId));
+
+  // Cards to select: the joined battle's deck size, or the format being created
+  const deckLimit =
+    mode === "invite" && invite
+      ? getFormat(invite.offer.format).deckSize
+      : mode === "join" && battle
+      ? getFormat(battle.format).deckSize
+      : getFormat(format).deckSize;
+
   const toggleCardSelection = (tokenId) => {
     // Verify that the card is actually in the user's cards list (owned)
     const cardExists = userCards.some((card) => card.tokenId === tokenId);
@@ -246,8 +444,8 @@ export default function Battle({ account }) {
       if (prev.includes(tokenId)) {
         return prev.filter((id) => id !== tokenId);
       } else {
-        if (prev.length >= 3) {
-          alert("You can only select 3 cards for battle");
+        if (prev.length >= deckLimit) {
+          alert(`You can only select ${deckLimit} card${deckLimit === 1 ? "" : "s"} for this battle`);
           return prev;
         }
         return [...prev, tokenId];
@@ -255,37 +453,92 @@ export default function Battle({ account }) {
     });
   };
 
+  // Load every open challenge that hasn't expired and wasn't started by this account
+  const loadLobby = async () => {
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) return;
+
+      const currentTime = Math.floor(Date.now() / 1000);
+      const entries = [];
+      for (let offset = 0; ; offset += LOBBY_PAGE_SIZE) {
+        const page = await managerContract.getOpenBattles(offset, LOBBY_PAGE_SIZE);
+        page.forEach((entry) => {
+          const expiresAt = Number(entry.expiresAt);
+          if (expiresAt < currentTime) return;
+          entries.push({
+            battleId: entry.battleId.toString(),
+            starter: entry.starter,
+            starterCards: entry.starterCards.map((id) => id.toString()),
+            format: Number(entry.format),
+            deckScore: Number(entry.deckScore),
+            scoringStrategy: entry.scoringStrategy,
+            wager: entry.wager,
+            friendly: entry.friendly,
+            noPrize: entry.noPrize,
+            expiresAt,
+          });
+        });
+        if (page.length < LOBBY_PAGE_SIZE) break;
+      }
+
+      // Newest challenges first
+      entries.sort((a, b) => Number(b.battleId) - Number(a.battleId));
+      setLobby(entries);
+    } catch (error) {
+      console.error("Error loading lobby:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Pick an open challenge from the lobby and continue with the normal join flow
+  const selectLobbyBattle = (id) => {
+    setSelectedCards([]);
+    setBattle(null);
+    setBattleId(id);
+    setMode("join");
+  };
+
   const createBattle = async () => {
-    if (!account || selectedCards.length !== 3 || !opponentAddress) {
-      alert("Please select exactly 3 cards and enter opponent address");
+    if (!account || selectedCards.length !== deckLimit || (!opponentAddress && !openChallenge)) {
+      alert(`Please select exactly ${deckLimit} cards and enter opponent address`);
       return;
     }
 
     setLoading(true);
     try {
-      // Validate and checksum the opponent address
-      let checksummedOpponentAddress;
+      let wager;
       try {
-        checksummedOpponentAddress = ethers.getAddress(opponentAddress);
-      } catch (e) {
-        alert(`Invalid opponent address: ${e.message}`);
+        // Offers carry no wager
+        wager = sendAsInvite || friendlyBattle || creatingNoPrize ? 0n : ethers.parseEther(wagerInput.trim() || "0");
+      } catch {
+        alert("Invalid wager amount");
         setLoading(false);
         return;
       }
 
+      // Validate and checksum the opponent address (the zero address makes an open challenge)
+      let checksummedOpponentAddress = ethers.ZeroAddress;
+      if (!openChallenge) {
+        try {
+          checksummedOpponentAddress = ethers.getAddress(opponentAddress);
+        } catch (e) {
+          alert(`Invalid opponent address: ${e.message}`);
+          setLoading(false);
+          return;
+        }
+      }
+
       const battleCardContract = await getBattleCardContract();
       const managerContract = await getBattleManagerContract();
       if (!battleCardContract || !managerContract) {
         throw new Error("Contracts not available");
       }
 
-      // Convert card IDs to proper format (uint256[])
-      // The contract expects uint256[3], ethers.js will convert the array automatically
-      const cardIds = [
-        selectedCards[0],
-        selectedCards[1],
-        selectedCards[2]
-      ];
+      // Card IDs in selection (round) order; ethers.js converts the array to uint256[]
+      const cardIds = [...selectedCards];
 
       // Get the actual signer address (the one making the transaction)
       const provider = getProvider();
@@ -361,7 +614,8 @@ export default function Battle({ account }) {
       const approvalsNeeded = [];
       const checksummedManagerCreate = ethers.getAddress(BATTLE_MANAGER_ADDRESS);
       
-      for (const tokenId of cardIds) {
+      // Friendly battles lock the cards in place, so they need no approval
+      for (const tokenId of friendlyBattle ? [] : cardIds) {
         try {
           const approvedAddress = await battleCardContract.getApproved(tokenId);
           const approvedLower = approvedAddress?.toLowerCase() || "";
@@ -390,9 +644,36 @@ export default function Battle({ account }) {
         console.log(`✅ All cards already approved - saving gas!`);
       }
 
+      // Commit to the selection order as the hidden lineup; only the sorted cards go on-chain
+      const { hash } = commitLineup(signerAddress, cardIds);
+
+      // Invite: sign the offer and share it; the cards stay in the wallet until it's accepted
+      if (sendAsInvite) {
+        const offer = buildOffer({
+          starter: signerAddress,
+          opponent: checksummedOpponentAddress,
+          format,
+          starterCards: sortForEscrow(cardIds),
+          lineupHash: hash,
+          scoringStrategy: scoringStrategy || ethers.ZeroAddress,
+        });
+        const signature = await signOffer(signer, offer);
+        setInviteLink({ url: buildInviteLink(offer, signature), nonce: offer.nonce });
+        return;
+      }
+
       // Create battle with checksummed address
       // Now that BattleManager is approved, transferFrom will succeed
-      const tx = await managerContract.createBattle(checksummedOpponentAddress, cardIds);
+      const tx = await managerContract.createBattle(
+        checksummedOpponentAddress,
+        format,
+        sortForEscrow(cardIds),
+        hash,
+        scoringStrategy || ethers.ZeroAddress,
+        challengeDuration,
+        friendlyBattle,
+        { value: wager }
+      );
       const receipt = await tx.wait();
 
       // Extract battle ID from events
@@ -439,7 +720,7 @@ export default function Battle({ account }) {
       if (errorMessage.includes("Not owner") || errorMessage.includes("don't own") || errorMessage.includes("don't own")) {
         // Clear selected cards and reload to refresh the list
         setSelectedCards([]);
-        await loadUserCards();
+        await loadUserCards({ refresh: true });
         alert(`Failed to create battle: ${errorMessage}\n\nYour card list has been refreshed. Please select only cards you own.`);
       } else {
         alert(`Failed to create battle: ${errorMessage}`);
@@ -450,8 +731,8 @@ export default function Battle({ account }) {
   };
 
   const joinBattle = async () => {
-    if (!account || selectedCards.length !== 3 || !battleId) {
-      alert("Please select exactly 3 cards and enter battle ID");
+    if (!account || selectedCards.length !== deckLimit || !battleId) {
+      alert(`Please select exactly ${deckLimit} cards and enter battle ID`);
       return;
     }
 
@@ -463,14 +744,8 @@ export default function Battle({ account }) {
         throw new Error("Contracts not available");
       }
 
-      // Convert card IDs to proper format (uint256)
-      // The contract expects a fixed-size array of 3 uint256
-      // selectedCards are strings, convert to numbers for contract call
-      const cardIds = [
-        selectedCards[0],
-        selectedCards[1],
-        selectedCards[2]
-      ];
+      // Card IDs in selection (round) order; the deck size must match the battle's format
+      const cardIds = [...selectedCards];
       
       // Get the actual signer address (the one making the transaction)
       const provider = getProvider();
@@ -546,7 +821,8 @@ export default function Battle({ account }) {
       const approvalsNeeded = [];
       const checksummedManagerJoin = ethers.getAddress(BATTLE_MANAGER_JOIN);
       
-      for (const tokenId of cardIds) {
+      // Friendly battles lock the cards in place, so they need no approval
+      for (const tokenId of battle?.friendly ? [] : cardIds) {
         try {
           const approvedAddress = await battleCardContract.getApproved(tokenId);
           const approvedLower = approvedAddress?.toLowerCase() || "";
@@ -578,14 +854,21 @@ export default function Battle({ account }) {
       // Convert battleId to number/string for the contract call
       const battleIdNum = typeof battleId === 'string' ? battleId : battleId.toString();
       
-      // Join battle - contract expects uint256[3], ethers.js will convert our array
+      // Commit to the selection order as the hidden lineup; only the sorted cards go on-chain
+      const { hash } = commitLineup(signerAddress, cardIds);
+
+      // Join battle - contract expects uint256[], ethers.js will convert our array
       // Now that BattleManager is approved, transferFrom will succeed
-      const tx = await managerContract.joinBattle(battleIdNum, cardIds);
+      // The opponent matches the starter's wager
+      const tx = await managerContract.joinBattle(battleIdNum, sortForEscrow(cardIds), hash, {
+        value: battle?.wager ?? 0n,
+      });
       await tx.wait();
 
       alert("Battle joined successfully!");
       // Reload battle data to show the battle view
       await loadBattle();
+      loadInbox();
       
       // Switch to showing the battle view (status should be ReadyToReveal now)
     } catch (error) {
@@ -603,7 +886,7 @@ export default function Battle({ account }) {
       if (errorMessage.includes("Not owner") || errorMessage.includes("don't own")) {
         // Clear selected cards and reload to refresh the list
         setSelectedCards([]);
-        await loadUserCards();
+        await loadUserCards({ refresh: true });
         alert(`Failed to join battle: ${errorMessage}\n\nYour card list has been refreshed. Please select only cards you own.`);
       } else {
         alert(`Failed to join battle: ${errorMessage}`);
@@ -613,6 +896,189 @@ export default function Battle({ account }) {
     }
   };
 
+  // Invalidate the last signed invite so its link can no longer be accepted
+  const cancelInvite = async () => {
+    if (!inviteLink) return;
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+      const tx = await managerContract.cancelOffer(inviteLink.nonce);
+      await tx.wait();
+      setInviteLink(null);
+      alert("Invite cancelled");
+    } catch (error) {
+      console.error("Error cancelling invite:", error);
+      alert(`Failed to cancel invite: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Withdraw an unjoined challenge (starter) or turn it down (intended opponent); the starter's
+  // cards come back and their wager is credited to Withdraw
+  const closeChallenge = async (id, decline) => {
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+      const tx = decline ? await managerContract.declineChallenge(id) : await managerContract.cancelBattle(id);
+      await tx.wait();
+      if (id === battleId) await loadBattle();
+      await Promise.all([loadWagerInfo(), loadInbox()]);
+      if (mode === "lobby") await loadLobby();
+    } catch (error) {
+      console.error(`Error ${decline ? "declining" : "cancelling"} challenge:`, error);
+      alert(`Failed to ${decline ? "decline" : "cancel"} challenge: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Accept the opened invite: escrows both decks and starts the battle in one transaction
+  const acceptInvite = async () => {
+    if (!invite || selectedCards.length !== deckLimit) {
+      alert(`Please select exactly ${deckLimit} cards`);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const battleCardContract = await getBattleCardContract();
+      const managerContract = await getBattleManagerContract();
+      const provider = getProvider();
+      if (!battleCardContract || !managerContract || !provider) {
+        throw new Error("Contracts not available");
+      }
+      const signerAddress = await (await provider.getSigner()).getAddress();
+      const cardIds = [...selectedCards];
+
+      // Approve the cards that aren't approved for BattleManager yet
+      const managerAddress = ethers.getAddress(BATTLE_MANAGER_ADDRESS);
+      const approved = await Promise.all(cardIds.map((tokenId) => battleCardContract.getApproved(tokenId)));
+      const approvalsNeeded = cardIds.filter((_, i) => approved[i].toLowerCase() !== managerAddress.toLowerCase());
+      if (approvalsNeeded.length > 0) {
+        const approveTx = await battleCardContract.batchApprove(managerAddress, approvalsNeeded);
+        await approveTx.wait();
+      }
+
+      const { hash } = commitLineup(signerAddress, cardIds);
+      const tx = await managerContract.acceptOffer(invite.offer, invite.signature, sortForEscrow(cardIds), hash);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.topics[0] === managerContract.interface.getEvent("BattleCreated").topicHash
+      );
+      clearInviteFromUrl();
+      setInvite(null);
+      setSelectedCards([]);
+      setMode("");
+      if (event) {
+        setBattleId(managerContract.interface.parseLog(event).args.battleId.toString());
+      }
+      alert("Invite accepted! Reveal your lineup to start the battle.");
+    } catch (error) {
+      console.error("Error accepting invite:", error);
+      alert(`Failed to accept invite: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The connected account's side of the battle, or null for spectators
+  const getMyLineup = (battleData) => {
+    if (!battleData || !account) return null;
+    const me = account.toLowerCase();
+    if (battleData.starter.toLowerCase() === me) {
+      return { hash: battleData.starterLineupHash, revealed: battleData.starterLineupRevealed };
+    }
+    if (battleData.opponent.toLowerCase() === me) {
+      return { hash: battleData.opponentLineupHash, revealed: battleData.opponentLineupRevealed };
+    }
+    return null;
+  };
+
+  const revealLineup = async () => {
+    const myLineup = getMyLineup(battle);
+    if (!battleId || !myLineup) return;
+    const saved = getSavedLineup(myLineup.hash);
+    if (!saved) {
+      alert("Your lineup salt isn't stored in this browser. Reveal from the browser you used to commit it.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+
+      const tx = await managerContract.revealLineup(battleId, saved.lineup, saved.salt);
+      await tx.wait();
+      forgetLineup(myLineup.hash);
+      await loadBattle();
+    } catch (error) {
+      console.error("Error revealing lineup:", error);
+      alert(`Failed to reveal lineup: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const claimForfeit = async () => {
+    if (!battleId) return;
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+
+      const tx = await managerContract.claimForfeit(battleId);
+      await tx.wait();
+      await loadBattle();
+    } catch (error) {
+      console.error("Error claiming forfeit:", error);
+      alert(`Failed to claim forfeit: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Rounds played by a transaction, from its RoundResolved events
+  const parseRoundEvents = (managerContract, receipt) =>
+    receipt.logs
+      .map((log) => {
+        try {
+          return managerContract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter((event) => event?.name === "RoundResolved")
+      .map((event) => ({
+        round: Number(event.args.roundIndex),
+        starterCard: event.args.starterCardId.toString(),
+        opponentCard: event.args.opponentCardId.toString(),
+        starterWon: event.args.starterWon,
+        draw: event.args.draw,
+      }));
+
+  // Show newly played rounds one at a time, then refresh the battle
+  const animateRounds = async (rounds) => {
+    animatingRounds.current = true;
+    try {
+      for (const round of rounds) {
+        setAnimatingRound(round.round);
+        setRevealedRounds((prev) =>
+          [...prev.filter((r) => r.round !== round.round), round].sort((a, b) => a.round - b.round)
+        );
+        await new Promise((resolve) => setTimeout(resolve, ROUND_ANIMATION_DELAY));
+      }
+    } finally {
+      setAnimatingRound(null);
+      animatingRounds.current = false;
+    }
+    await loadBattle();
+  };
+
   const revealRound = async () => {
     if (!battleId) return;
     setLoading(true);
@@ -622,14 +1088,13 @@ export default function Battle({ account }) {
 
       // Convert battleId to number if it's a string
       const battleIdNum = typeof battleId === 'string' ? battleId : battleId.toString();
-      const tx = await managerContract.revealRound(battleIdNum);
-      await tx.wait();
-      
-      // Wait a bit for state to propagate
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Reload battle data after revealing round
-      await loadBattle();
+      const tx = playAllRounds
+        ? await managerContract.resolveBattle(battleIdNum)
+        : await managerContract.revealRound(battleIdNum);
+      const receipt = await tx.wait();
+
+      // Replay the rounds from the transaction's events, then reload battle data
+      await animateRounds(parseRoundEvents(managerContract, receipt));
     } catch (error) {
       console.error("Error revealing round:", error);
       alert(`Failed to reveal round: ${error.message}`);
@@ -663,13 +1128,15 @@ export default function Battle({ account }) {
       await new Promise(resolve => setTimeout(resolve, 1000));
       
       // Reload user cards to reflect the transfer
-      await loadUserCards();
+      await loadUserCards({ refresh: true });
+      await loadWagerInfo();
       
       // Verify card ownership after refresh (optional verification)
       const battleCardContract = await getBattleCardContract();
       if (battleCardContract && battle) {
         try {
-          const claimedCardId = battle.opponentCards[prizeIndex];
+          const loserCards = battle.winner === battle.starter ? battle.opponentCards : battle.starterCards;
+          const claimedCardId = loserCards[prizeIndex];
           if (claimedCardId && claimedCardId !== "0") {
             const owner = await battleCardContract.ownerOf(claimedCardId);
             const userAddress = account.toLowerCase();
@@ -693,95 +1160,71 @@ export default function Battle({ account }) {
     }
   };
 
+  // Loser: take back the remaining cards once the prize is picked or the winner's claim window has passed
+  const releaseCards = async () => {
+    if (!battleId) return;
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) throw new Error("Contract not available");
+
+      const tx = await managerContract.releaseCards(battleId);
+      await tx.wait();
+      await loadUserCards({ refresh: true });
+      await loadBattle();
+      await loadWagerInfo();
+      alert("Your remaining cards have been returned.");
+    } catch (error) {
+      console.error("Error releasing cards:", error);
+      alert(`Failed to release cards: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadInbox = async () => {
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) return;
+      const ids = await managerContract.getPendingChallengesFor(account);
+      setInbox(ids.map((id) => id.toString()));
+    } catch (error) {
+      console.error("Error loading challenge inbox:", error);
+    }
+  };
+
   const loadBattleHistory = async () => {
     if (!account) return;
     setLoading(true);
     try {
       const managerContract = await getBattleManagerContract();
       if (!managerContract) return;
-      
-      const provider = getProvider();
-      if (!provider) return;
-      
-      const userAddress = account.toLowerCase();
-      
-      // Query events where user is starter
-      const starterFilter = managerContract.filters.BattleCreated(null, null, null);
-      const starterEvents = await managerContract.queryFilter(starterFilter);
-      
-      // Query events where user is opponent
-      const opponentFilter = managerContract.filters.BattleJoined(null, null);
-      const opponentEvents = await managerContract.queryFilter(opponentFilter);
-      
-      // Collect unique battle IDs
-      const battleIdSet = new Set();
-      
-      starterEvents.forEach(event => {
-        if (event.args.starter.toLowerCase() === userAddress) {
-          battleIdSet.add(event.args.battleId.toString());
-        }
-      });
-      
-      opponentEvents.forEach(event => {
-        if (event.args.opponent.toLowerCase() === userAddress) {
-          battleIdSet.add(event.args.battleId.toString());
-        }
+
+      // Most recent battles first, from the per-player index
+      const ids = await managerContract.getBattlesOf(account, 0, HISTORY_SIZE);
+      const battlesData = ids.length > 0 ? await managerContract.getBattles(ids) : [];
+
+      const history = battlesData.map((battleData, i) => ({
+        battleId: ids[i].toString(),
+        starter: battleData.starter,
+        opponent: battleData.opponent,
+        starterCards: battleData.starterCards.map((cid) => cid.toString()),
+        opponentCards: battleData.opponentCards.map((cid) => cid.toString()),
+        starterWins: Number(battleData.starterWins) || 0,
+        opponentWins: Number(battleData.opponentWins) || 0,
+        currentRound: Number(battleData.currentRound) || 0,
+        status: Number(battleData.status) || 0,
+        winner: battleData.winner,
+        createdAt: Number(battleData.createdAt) || 0,
+      }));
+
+      // Load card data for thumbnail display
+      const cardThumbnails = await getCards(history.flatMap((entry) => [...entry.starterCards, ...entry.opponentCards]));
+      history.forEach((entry) => {
+        entry.cardThumbnails = cardThumbnails;
       });
-      
-      // Load battle data for each battle
-      const history = [];
-      const battleCardContract = await getBattleCardContract();
-      
-      for (const id of Array.from(battleIdSet)) {
-        try {
-          const battleData = await managerContract.getBattle(id);
-          const battleState = {
-            battleId: id,
-            starter: battleData.starter,
-            opponent: battleData.opponent,
-            starterCards: battleData.starterCards.map((cid) => cid.toString()),
-            opponentCards: battleData.opponentCards.map((cid) => cid.toString()),
-            starterWins: Number(battleData.starterWins) || 0,
-            opponentWins: Number(battleData.opponentWins) || 0,
-            currentRound: Number(battleData.currentRound) || 0,
-            status: Number(battleData.status) || 0,
-            winner: battleData.winner,
-            createdAt: Number(battleData.createdAt) || 0,
-          };
-          
-          // Load card data for thumbnail display
-          const cardThumbnails = {};
-          const allCards = [...battleState.starterCards, ...battleState.opponentCards];
-          for (const cardId of allCards.slice(0, 6)) { // Limit to first 6 cards for performance
-            if (cardId && cardId !== "0") {
-              try {
-                const cardData = await battleCardContract.getCard(cardId);
-                cardThumbnails[cardId] = {
-                  tokenId: cardId.toString(),
-                  power: Number(cardData.power) || 0,
-                  defense: Number(cardData.defense) || 0,
-                  speed: Number(cardData.speed) || 0,
-                  character: Number(cardData.character) || 0,
-                  rarity: Number(cardData.rarity) || 0,
-                };
-              } catch (e) {
-                // Skip if card doesn't exist
-              }
-            }
-          }
-          
-          battleState.cardThumbnails = cardThumbnails;
-          history.push(battleState);
-        } catch (error) {
-          console.error(`Error loading battle ${id}:`, error);
-        }
-      }
-      
-      // Sort by createdAt (newest first)
-      history.sort((a, b) => b.createdAt - a.createdAt);
-      
-      // Limit to last 30 battles
-      setBattleHistory(history.slice(0, 30));
+
+      setBattleHistory(history);
     } catch (error) {
       console.error("Error loading battle history:", error);
     } finally {
@@ -789,11 +1232,17 @@ export default function Battle({ account }) {
     }
   };
 
-  const calculateBattleScore = (card) => {
-    if (!card) return 0;
-    return Number(card.power) + Math.floor(Number(card.defense) / 2) + Number(card.speed);
+  // Type advantage bonus (percent) of a card over the opposing card
+  const getTypeBonus = (card, opposingCard) => {
+    if (!card || !opposingCard || !typeMatrix) return 0;
+    return typeMatrix[Number(card.character)]?.[Number(opposingCard.character)] || 0;
   };
 
+  // Name of an allowlisted strategy, or its address if it has since been removed
+  const strategyLabel = (address) =>
+    scoringStrategies.find((strategy) => strategy.address.toLowerCase() === address.toLowerCase())?.name ||
+    formatAddress(address);
+
   if (!account) {
     return (
       <div className="text-center py-20">
@@ -806,6 +1255,12 @@ export default function Battle({ account }) {
     <div className="container mx-auto px-4 py-8">
       <h1 className="text-3xl font-bold text-white mb-8">⚔️ Battle Arena</h1>
 
+      {battlesPaused && (
+        <div className="bg-orange-900/40 border border-orange-600 rounded-lg p-4 mb-6 text-orange-300">
+          ⏸️ New battles are paused. Battles already underway can still be played, claimed and cancelled.
+        </div>
+      )}
+
       {/* Mode Toggle */}
       <div className="flex gap-4 mb-6">
         <button
@@ -838,6 +1293,20 @@ export default function Battle({ account }) {
         >
           Join Challenge
         </button>
+        <button
+          onClick={async () => {
+            setMode("lobby");
+            setHistoryMode(false);
+            await loadLobby();
+          }}
+          className={`px-6 py-2 rounded-lg font-semibold transition-colors ${
+            mode === "lobby" && !historyMode
+              ? "bg-blue-600 text-white"
+              : "bg-gray-700 text-gray-300"
+          }`}
+        >
+          Lobby
+        </button>
         <button
           onClick={async () => {
             setHistoryMode(true);
@@ -856,27 +1325,208 @@ export default function Battle({ account }) {
         </button>
       </div>
 
+      {/* Wager payouts and refunds waiting to be withdrawn */}
+      {pendingWithdrawal > 0n && (
+        <div className="bg-green-900/40 border border-green-600 rounded-lg p-4 mb-6 flex flex-wrap justify-between items-center gap-4">
+          <p className="text-white">
+            💰 You have <strong>{ethers.formatEther(pendingWithdrawal)} MON</strong> from battle wagers to withdraw
+          </p>
+          <button
+            onClick={withdrawWinnings}
+            disabled={loading}
+            className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold disabled:bg-gray-600"
+          >
+            {loading ? "Withdrawing..." : "Withdraw"}
+          </button>
+        </div>
+      )}
+
+      {/* Cards waiting in the settlement ledger */}
+      {claimable.length > 0 && (
+        <div className="bg-blue-900/40 border border-blue-600 rounded-lg p-4 mb-6">
+          <p className="text-white mb-3">🃏 You have cards to collect from {claimable.length} finished battle(s)</p>
+          <div className="flex flex-wrap gap-2">
+            {claimable.map((entry) => (
+              <button
+                key={entry.battleId}
+                onClick={() => {
+                  setHistoryMode(false);
+                  setMode("");
+                  setBattleId(entry.battleId);
+                }}
+                className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg text-sm"
+              >
+                Battle #{entry.battleId} · {entry.tokenIds.length} card(s){entry.ready ? "" : " · waiting for prize pick"}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Challenges addressed to this account */}
+      {inbox.length > 0 && (
+        <div className="bg-purple-900/40 border border-purple-600 rounded-lg p-4 mb-6">
+          <p className="text-white mb-3">📬 {inbox.length} challenge(s) waiting for you</p>
+          <div className="flex flex-wrap gap-2">
+            {inbox.map((id) => (
+              <button
+                key={id}
+                onClick={() => {
+                  setHistoryMode(false);
+                  setMode("join");
+                  setSelectedCards([]);
+                  setBattleId(id);
+                }}
+                className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg text-sm"
+              >
+                Battle #{id}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Create Battle Mode */}
       {mode === "create" && (
         <div className="bg-gray-800 rounded-lg p-6 mb-6">
           <h2 className="text-xl font-bold text-white mb-4">Create New Battle</h2>
           <div className="space-y-4">
             <div>
-              <label className="block text-gray-300 mb-2">Opponent Address</label>
-              <input
-                type="text"
-                value={opponentAddress}
-                onChange={(e) => setOpponentAddress(e.target.value)}
-                placeholder="0x..."
-                className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg"
-              />
+              <label className="flex items-center gap-2 text-gray-300 mb-3">
+                <input
+                  type="checkbox"
+                  checked={openChallenge}
+                  onChange={(e) => setOpenChallenge(e.target.checked)}
+                />
+                Open challenge (anyone can join from the lobby)
+              </label>
+              {!friendlyBattle && (
+                <label className="flex items-center gap-2 text-gray-300 mb-3">
+                  <input
+                    type="checkbox"
+                    checked={sendAsInvite}
+                    onChange={(e) => setSendAsInvite(e.target.checked)}
+                  />
+                  Send as an invite link (sign now, cards are escrowed only when it's accepted; no wager)
+                </label>
+              )}
+              {!sendAsInvite && (
+                <label className="flex items-center gap-2 text-gray-300 mb-3">
+                  <input
+                    type="checkbox"
+                    checked={friendlyBattle}
+                    onChange={(e) => setFriendlyBattle(e.target.checked)}
+                  />
+                  Friendly battle (cards stay in your wallet, locked until it ends; no prize, wager or XP, still rated)
+                </label>
+              )}
+              {!openChallenge && (
+                <>
+                  <label className="block text-gray-300 mb-2">Opponent Address</label>
+                  <input
+                    type="text"
+                    value={opponentAddress}
+                    onChange={(e) => setOpponentAddress(e.target.value)}
+                    placeholder="0x..."
+                    className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg"
+                  />
+                </>
+              )}
             </div>
+            <div>
+              <label className="block text-gray-300 mb-2">Format</label>
+              <div className="flex flex-wrap gap-2">
+                {BATTLE_FORMATS.map((option) => (
+                  <button
+                    key={option.id}
+                    onClick={() => {
+                      setFormat(option.id);
+                      setSelectedCards((prev) => prev.slice(0, option.deckSize));
+                    }}
+                    className={`px-4 py-2 rounded-lg font-semibold transition-colors ${
+                      format === option.id ? "bg-purple-600 text-white" : "bg-gray-700 text-gray-300"
+                    }`}
+                  >
+                    {option.name} ({option.deckSize} card{option.deckSize === 1 ? "" : "s"})
+                  </button>
+                ))}
+              </div>
+            </div>
+            {scoringStrategies.length > 1 && (
+              <div>
+                <label className="block text-gray-300 mb-2">Scoring</label>
+                <div className="flex flex-wrap gap-2">
+                  {scoringStrategies.map((option) => {
+                    const active = scoringStrategy ? scoringStrategy === option.address : option.isDefault;
+                    return (
+                      <button
+                        key={option.address}
+                        onClick={() => setScoringStrategy(option.isDefault ? "" : option.address)}
+                        className={`px-4 py-2 rounded-lg font-semibold transition-colors ${
+                          active ? "bg-purple-600 text-white" : "bg-gray-700 text-gray-300"
+                        }`}
+                      >
+                        {option.name}
+                        {option.isDefault && " (default)"}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+            {creatingNoPrize && (
+              <p className="text-yellow-400 text-sm">
+                Your deck includes starter cards, so this is a no-prize battle: no wager, and both decks are
+                returned when it ends.
+              </p>
+            )}
+            {!sendAsInvite && !friendlyBattle && !creatingNoPrize && (
+              <div>
+                <label className="block text-gray-300 mb-2">Wager (MON, optional)</label>
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={wagerInput}
+                  onChange={(e) => setWagerInput(e.target.value)}
+                  placeholder="0"
+                  className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg"
+                />
+                <p className="text-gray-400 text-sm mt-1">
+                  Your opponent must match it. The winner takes both stakes
+                  {protocolFeeBps !== null && ` minus a ${protocolFeeBps / 100}% protocol fee`}; draws refund both sides.
+                </p>
+              </div>
+            )}
+            {!sendAsInvite && (
+              <div>
+                <label className="block text-gray-300 mb-2">Expires In</label>
+                <div className="flex flex-wrap gap-2">
+                  {CHALLENGE_DURATIONS.map((option) => (
+                    <button
+                      key={option.seconds}
+                      onClick={() => setChallengeDuration(option.seconds)}
+                      className={`px-4 py-2 rounded-lg font-semibold transition-colors ${
+                        challengeDuration === option.seconds ? "bg-purple-600 text-white" : "bg-gray-700 text-gray-300"
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-gray-400 text-sm mt-1">
+                  Nobody can join after this. You can cancel any time before someone joins.
+                </p>
+              </div>
+            )}
             <div>
               <label className="block text-gray-300 mb-2">
-                Select 3 Cards ({selectedCards.length}/3)
+                Select {deckLimit} Card{deckLimit === 1 ? "" : "s"} ({selectedCards.length}/{deckLimit})
               </label>
+              <p className="text-gray-400 text-sm mb-2">
+                Pick cards in round order. Your lineup stays hidden until both players have joined.
+              </p>
               <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                {userCards.map((card) => (
+                {availableCards.map((card) => (
                   <Card
                     key={card.tokenId}
                     card={card}
@@ -890,15 +1540,213 @@ export default function Battle({ account }) {
             </div>
             <button
               onClick={createBattle}
-              disabled={loading || selectedCards.length !== 3 || !opponentAddress}
+              disabled={loading || battlesPaused || selectedCards.length !== deckLimit || (!opponentAddress && !openChallenge)}
               className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
             >
-              {loading ? "Creating..." : "Create Battle"}
+              {loading ? "Creating..." : sendAsInvite ? "Sign Invite" : "Create Battle"}
             </button>
+            {inviteLink && (
+              <div className="bg-gray-900 rounded-lg p-4">
+                <p className="text-white font-semibold mb-2">📨 Invite ready (valid for 24 hours)</p>
+                <input
+                  type="text"
+                  readOnly
+                  value={inviteLink.url}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg text-sm mb-3"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => navigator.clipboard.writeText(inviteLink.url)}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
+                  >
+                    Copy Link
+                  </button>
+                  <button
+                    onClick={cancelInvite}
+                    disabled={loading}
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-600"
+                  >
+                    Cancel Invite
+                  </button>
+                </div>
+                <p className="text-gray-400 text-sm mt-2">
+                  Keep the selected cards approved and in your wallet until your opponent accepts.
+                </p>
+              </div>
+            )}
+            {battle && battleId && Number(battle.status) === 0 && battle.starter.toLowerCase() === account.toLowerCase() && (
+              <div className="bg-gray-900 rounded-lg p-4 flex flex-wrap justify-between items-center gap-4">
+                <p className="text-gray-300">
+                  ⏳ Battle #{battleId} is waiting for{" "}
+                  {battle.opponent === ethers.ZeroAddress ? "an opponent" : formatAddress(battle.opponent)} ·{" "}
+                  {battle.expiresAt > now ? `expires in ${formatTimeLeft(battle.expiresAt, now)}` : "expired"}
+                </p>
+                <button
+                  onClick={() => closeChallenge(battleId, false)}
+                  disabled={loading}
+                  className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-600"
+                >
+                  Cancel Challenge
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
 
+      {/* Invite Mode - accept a signed offer from an invite link */}
+      {mode === "invite" && invite && (() => {
+        const { offer } = invite;
+        const me = account.toLowerCase();
+        const isStarter = offer.starter.toLowerCase() === me;
+        const wrongOpponent = offer.opponent !== ethers.ZeroAddress && offer.opponent.toLowerCase() !== me;
+        const expired = Number(offer.deadline) * 1000 < Date.now();
+        return (
+          <div className="bg-gray-800 rounded-lg p-6 mb-6">
+            <h2 className="text-xl font-bold text-white mb-4">📨 Battle Invite</h2>
+            <div className="bg-gray-900 rounded-lg p-4 mb-4 text-gray-300">
+              <p>
+                <strong>From:</strong> {isStarter ? "You" : formatAddress(offer.starter)}
+              </p>
+              <p>
+                <strong>Format:</strong> {getFormat(offer.format).name} ·{" "}
+                {offer.scoringStrategy === ethers.ZeroAddress ? "Default" : strategyLabel(offer.scoringStrategy)} scoring
+              </p>
+              <p>
+                <strong>Their cards:</strong> {offer.starterCards.map((id) => `#${id}`).join(", ")}
+              </p>
+              <p>
+                <strong>Expires:</strong> {new Date(Number(offer.deadline) * 1000).toLocaleString()}
+              </p>
+            </div>
+            {isStarter || wrongOpponent || expired ? (
+              <p className="text-red-400 mb-4">
+                {isStarter
+                  ? "This is your own invite. Share the link with your opponent."
+                  : wrongOpponent
+                  ? `This invite is for ${formatAddress(offer.opponent)}.`
+                  : "This invite has expired."}
+              </p>
+            ) : (
+              <>
+                <label className="block text-gray-300 mb-2">
+                  Select Your {deckLimit} Card{deckLimit === 1 ? "" : "s"} ({selectedCards.length}/{deckLimit})
+                </label>
+                <p className="text-gray-400 text-sm mb-2">
+                  Pick cards in round order. Your lineup stays hidden until both players have revealed.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 mb-4">
+                  {availableCards.map((card) => (
+                    <Card
+                      key={card.tokenId}
+                      card={card}
+                      tokenId={card.tokenId}
+                      selected={selectedCards.includes(card.tokenId)}
+                      onSelect={() => toggleCardSelection(card.tokenId)}
+                      showStats={true}
+                    />
+                  ))}
+                </div>
+              </>
+            )}
+            <div className="flex gap-2">
+              <button
+                onClick={acceptInvite}
+                disabled={loading || battlesPaused || isStarter || wrongOpponent || expired || selectedCards.length !== deckLimit}
+                className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {loading ? "Accepting..." : "Accept Invite"}
+              </button>
+              <button
+                onClick={() => {
+                  clearInviteFromUrl();
+                  setInvite(null);
+                  setMode("create");
+                }}
+                className="bg-gray-700 hover:bg-gray-600 text-white px-6 py-3 rounded-lg"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Lobby Mode */}
+      {mode === "lobby" && !historyMode && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold text-white">Open Challenges</h2>
+            <button
+              onClick={loadLobby}
+              disabled={loading}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg disabled:bg-gray-600"
+            >
+              {loading ? "Loading..." : "Refresh"}
+            </button>
+          </div>
+          {lobby.length === 0 ? (
+            <p className="text-gray-400">No open challenges right now. Create one from "Create Challenge".</p>
+          ) : (
+            <div className="space-y-3">
+              {lobby.map((entry) => {
+                const isMine = entry.starter.toLowerCase() === account.toLowerCase();
+                return (
+                  <div
+                    key={entry.battleId}
+                    className="bg-gray-900 rounded-lg p-4 flex flex-wrap justify-between items-center gap-4"
+                  >
+                    <div>
+                      <p className="text-white font-semibold">
+                        Battle #{entry.battleId} · {getFormat(entry.format).name} ·{" "}
+                        {strategyLabel(entry.scoringStrategy)} scoring
+                        {entry.friendly && " · 🤝 Friendly"}
+                        {entry.noPrize && " · 🌱 No prize"}
+                      </p>
+                      <p className="text-gray-400 text-sm">
+                        Starter: {isMine ? "You" : formatAddress(entry.starter)} · Cards{" "}
+                        {entry.starterCards.map((id) => `#${id}`).join(", ")}
+                      </p>
+                      <p className="text-gray-400 text-sm">
+                        {entry.expiresAt < now ? "Expired" : `Expires in ${formatTimeLeft(entry.expiresAt, now)}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-4">
+                      <p className="text-gray-300">
+                        Deck score: <span className="text-yellow-400 font-bold">{entry.deckScore}</span>
+                      </p>
+                      {entry.wager > 0n && (
+                        <p className="text-gray-300">
+                          Wager: <span className="text-green-400 font-bold">{ethers.formatEther(entry.wager)} MON</span>
+                        </p>
+                      )}
+                      {isMine ? (
+                        <button
+                          onClick={() => closeChallenge(entry.battleId, false)}
+                          disabled={loading}
+                          className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg font-semibold disabled:bg-gray-600"
+                        >
+                          Cancel
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => selectLobbyBattle(entry.battleId)}
+                          disabled={entry.expiresAt < now}
+                          className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                        >
+                          Join
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Join Battle Mode */}
       {mode === "join" && (
         <div className="bg-gray-800 rounded-lg p-6 mb-6">
@@ -925,20 +1773,65 @@ export default function Battle({ account }) {
                 <p className="text-gray-300">
                   <strong>Status:</strong> {BATTLE_STATUS[Number(battle.status)] || `Status ${Number(battle.status)}`}
                 </p>
+                <p className="text-gray-300">
+                  <strong>Format:</strong> {getFormat(battle.format).name}
+                  {battle.friendly && " · 🤝 Friendly (cards stay in your wallet, locked until it ends; no prize)"}
+                  {battle.noPrize && " · 🌱 No prize (starter cards; both decks are returned when it ends)"}
+                </p>
+                <p className="text-gray-300">
+                  <strong>Scoring:</strong> {battleStrategyName}
+                </p>
                 <p className="text-gray-300">
                   <strong>Starter:</strong> {formatAddress(battle.starter)}
                 </p>
                 <p className="text-gray-300">
-                  <strong>Opponent:</strong> {formatAddress(battle.opponent)}
+                  <strong>Opponent:</strong>{" "}
+                  {battle.opponent === ethers.ZeroAddress ? "Open challenge" : formatAddress(battle.opponent)}
                 </p>
+                {battle.wager > 0n && (
+                  <p className="text-gray-300">
+                    <strong>Wager:</strong> {ethers.formatEther(battle.wager)} MON each (joining stakes the same
+                    amount; the winner receives {ethers.formatEther(getWagerPayout(battle))} MON)
+                  </p>
+                )}
+                {Number(battle.status) === 0 && (
+                  <p className="text-gray-300">
+                    <strong>Expires:</strong>{" "}
+                    {battle.expiresAt > now ? `in ${formatTimeLeft(battle.expiresAt, now)}` : "expired, can no longer be joined"}
+                  </p>
+                )}
+                {Number(battle.status) === 0 && battle.starter.toLowerCase() === account.toLowerCase() && (
+                  <button
+                    onClick={() => closeChallenge(battleId, false)}
+                    disabled={loading}
+                    className="mt-4 bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600"
+                  >
+                    Cancel Challenge
+                  </button>
+                )}
                 {Number(battle.status) === 0 && battle.opponent.toLowerCase() === account.toLowerCase() && (
+                  <button
+                    onClick={() => closeChallenge(battleId, true)}
+                    disabled={loading}
+                    className="mt-4 mr-2 bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600"
+                  >
+                    Decline Challenge
+                  </button>
+                )}
+                {Number(battle.status) === 0 &&
+                  (battle.opponent === ethers.ZeroAddress
+                    ? battle.starter.toLowerCase() !== account.toLowerCase()
+                    : battle.opponent.toLowerCase() === account.toLowerCase()) && (
                   <>
                     <div className="mt-4">
                       <label className="block text-gray-300 mb-2">
-                        Select Your 3 Cards ({selectedCards.length}/3)
+                        Select Your {deckLimit} Card{deckLimit === 1 ? "" : "s"} ({selectedCards.length}/{deckLimit})
                       </label>
+                      <p className="text-gray-400 text-sm mb-2">
+                        Pick cards in round order. Your lineup stays hidden until both players have revealed.
+                      </p>
                       <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
-                        {userCards.map((card) => (
+                        {availableCards.map((card) => (
                           <Card
                             key={card.tokenId}
                             card={card}
@@ -952,7 +1845,7 @@ export default function Battle({ account }) {
                     </div>
                     <button
                       onClick={joinBattle}
-                      disabled={loading || selectedCards.length !== 3}
+                      disabled={loading || battlesPaused || selectedCards.length !== deckLimit || battle.expiresAt < now}
                       className="mt-4 bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
                     >
                       {loading ? "Joining..." : "Join Battle"}
@@ -984,8 +1877,22 @@ export default function Battle({ account }) {
               <strong>Status:</strong> {BATTLE_STATUS[Number(battle.status)] || `Status ${Number(battle.status)}`}
             </p>
             <p className="text-gray-300 mb-2">
-              <strong>Current Round:</strong> {Number(battle.currentRound)} / 3
+              <strong>Format:</strong> {getFormat(battle.format).name}
+              {battle.friendly && " · 🤝 Friendly"}
+              {battle.noPrize && " · 🌱 No prize"}
+            </p>
+            <p className="text-gray-300 mb-2">
+              <strong>Scoring:</strong> {battleStrategyName}
+            </p>
+            <p className="text-gray-300 mb-2">
+              <strong>Current Round:</strong> {Number(battle.currentRound)} / {getFormat(battle.format).deckSize}
             </p>
+            {battle.wager > 0n && (
+              <p className="text-gray-300 mb-2">
+                <strong>Wager:</strong> {ethers.formatEther(battle.wager)} MON each · <strong>Payout:</strong>{" "}
+                {ethers.formatEther(getWagerPayout(battle))} MON to the winner ({battle.feeBps / 100}% fee)
+              </p>
+            )}
           </div>
           
           {/* Battle Cards Grid - Show only revealed round cards */}
@@ -1137,7 +2044,14 @@ export default function Battle({ account }) {
                 <p className="text-gray-400">Starter</p>
                 <p className="text-2xl font-bold text-blue-400">{Number(battle.starterWins)}</p>
               </div>
-              <div className="text-gray-500">VS</div>
+              <div className="text-center text-gray-500">
+                <p>VS</p>
+                {Number(battle.currentRound) - Number(battle.starterWins) - Number(battle.opponentWins) > 0 && (
+                  <p className="text-xs text-yellow-400">
+                    {Number(battle.currentRound) - Number(battle.starterWins) - Number(battle.opponentWins)} drawn
+                  </p>
+                )}
+              </div>
               <div className="text-center">
                 <p className="text-gray-400">Opponent</p>
                 <p className="text-2xl font-bold text-red-400">{Number(battle.opponentWins)}</p>
@@ -1153,11 +2067,17 @@ export default function Battle({ account }) {
                 {revealedRounds.map((round, idx) => {
                   const starterCard = battleCards[round.starterCard];
                   const opponentCard = battleCards[round.opponentCard];
-                  const starterScore = starterCard ? calculateBattleScore(starterCard) : 0;
-                  const opponentScore = opponentCard ? calculateBattleScore(opponentCard) : 0;
+                  const scores = roundScores[round.round];
+                  const starterBonus = getTypeBonus(starterCard, opponentCard);
+                  const opponentBonus = getTypeBonus(opponentCard, starterCard);
                   
                   return (
-                    <div key={idx} className="border border-gray-700 rounded-lg p-3">
+                    <div
+                      key={idx}
+                      className={`border rounded-lg p-3 transition-all ${
+                        animatingRound === round.round ? "border-yellow-400 animate-pulse" : "border-gray-700"
+                      }`}
+                    >
                       <p className="text-white font-semibold mb-2">Round {round.round + 1}</p>
                       <div className="grid grid-cols-2 gap-4">
                         <div className={`${round.starterWon ? 'ring-2 ring-green-500' : ''}`}>
@@ -1166,20 +2086,26 @@ export default function Battle({ account }) {
                             <>
                               <Card card={starterCard} tokenId={round.starterCard} showStats={true} onSelect={null} />
                               <p className="text-xs text-center mt-1 text-gray-400">
-                                Score: {starterScore}
+                                Score: {scores ? scores.starter : "…"}
+                                {starterBonus > 0 && (
+                                  <span className="text-green-400"> (+{starterBonus}% type advantage)</span>
+                                )}
                               </p>
                             </>
                           ) : (
                             <div className="bg-gray-800 rounded p-2 text-center text-gray-500">Loading...</div>
                           )}
                         </div>
-                        <div className={`${!round.starterWon ? 'ring-2 ring-green-500' : ''}`}>
+                        <div className={`${!round.starterWon && !round.draw ? 'ring-2 ring-green-500' : ''}`}>
                           <p className="text-xs text-gray-400 mb-1">Opponent Card #{round.opponentCard}</p>
                           {opponentCard ? (
                             <>
                               <Card card={opponentCard} tokenId={round.opponentCard} showStats={true} onSelect={null} />
                               <p className="text-xs text-center mt-1 text-gray-400">
-                                Score: {opponentScore}
+                                Score: {scores ? scores.opponent : "…"}
+                                {opponentBonus > 0 && (
+                                  <span className="text-green-400"> (+{opponentBonus}% type advantage)</span>
+                                )}
                               </p>
                             </>
                           ) : (
@@ -1188,7 +2114,9 @@ export default function Battle({ account }) {
                         </div>
                       </div>
                       <p className="text-center mt-2 text-sm font-semibold">
-                        {round.starterWon ? (
+                        {round.draw ? (
+                          <span className="text-yellow-400">Draw! 🤝 Same score, speed and power</span>
+                        ) : round.starterWon ? (
                           <span className="text-blue-400">Starter Wins! 🎉</span>
                         ) : (
                           <span className="text-red-400">Opponent Wins! 🎉</span>
@@ -1201,8 +2129,52 @@ export default function Battle({ account }) {
             </div>
           )}
 
+          {/* Hidden Lineups - both players reveal their committed order before rounds start */}
+          {Number(battle.status) === 1 && !(battle.starterLineupRevealed && battle.opponentLineupRevealed) && (() => {
+            const myLineup = getMyLineup(battle);
+            const deadlinePassed = lineupRevealDeadline !== null && now > lineupRevealDeadline;
+            return (
+              <div className="bg-gray-900 rounded-lg p-4 mb-4">
+                <h3 className="text-lg font-bold text-white mb-3">🔒 Hidden Lineups</h3>
+                <p className="text-gray-300 text-sm mb-1">
+                  Starter: {battle.starterLineupRevealed ? "✅ revealed" : "⏳ hidden"} · Opponent:{" "}
+                  {battle.opponentLineupRevealed ? "✅ revealed" : "⏳ hidden"}
+                </p>
+                {lineupRevealDeadline !== null && !deadlinePassed && (
+                  <p className="text-gray-400 text-sm mb-3">
+                    {formatTimeLeft(lineupRevealDeadline, now)} left to reveal. A player who
+                    doesn't reveal in time forfeits the battle.
+                  </p>
+                )}
+                {myLineup && !myLineup.revealed && !deadlinePassed && (
+                  <button
+                    onClick={revealLineup}
+                    disabled={loading}
+                    className="bg-purple-600 hover:bg-purple-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                  >
+                    {loading ? "Revealing..." : "Reveal Your Lineup"}
+                  </button>
+                )}
+                {myLineup?.revealed && !deadlinePassed && (
+                  <p className="text-gray-400 text-sm">Waiting for the other player to reveal their lineup...</p>
+                )}
+                {deadlinePassed && (
+                  <button
+                    onClick={claimForfeit}
+                    disabled={loading}
+                    className="bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                  >
+                    {loading ? "Settling..." : "Claim Forfeit"}
+                  </button>
+                )}
+              </div>
+            );
+          })()}
+
           {/* Current Round Display (if next round hasn't been revealed) */}
-          {Number(battle.status) >= 1 && Number(battle.status) < 3 && Number(battle.currentRound) < 3 && (
+          {Number(battle.status) >= 1 && Number(battle.status) < 3 &&
+            Number(battle.currentRound) < getFormat(battle.format).deckSize &&
+            battle.starterLineupRevealed && battle.opponentLineupRevealed && (
             <div className="bg-gray-900 rounded-lg p-4 mb-4">
               <h3 className="text-lg font-bold text-white mb-3">
                 Next Round: Round {Number(battle.currentRound) + 1}
@@ -1212,17 +2184,30 @@ export default function Battle({ account }) {
           )}
 
           {/* Reveal Rounds */}
-          {Number(battle.status) < 3 && Number(battle.currentRound) < 3 && (
+          {Number(battle.status) < 3 && Number(battle.currentRound) < getFormat(battle.format).deckSize &&
+            battle.starterLineupRevealed && battle.opponentLineupRevealed && (
             <div className="mb-4">
               <button
                 onClick={revealRound}
                 disabled={loading}
                 className="bg-yellow-600 hover:bg-yellow-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
               >
-                {loading ? "Revealing..." : `Reveal Round ${Number(battle.currentRound) + 1} of 3`}
+                {loading
+                  ? "Revealing..."
+                  : playAllRounds
+                  ? "Resolve Battle"
+                  : `Reveal Round ${Number(battle.currentRound) + 1} of ${getFormat(battle.format).deckSize}`}
               </button>
+              <label className="flex items-center gap-2 text-gray-300 text-sm mt-2">
+                <input
+                  type="checkbox"
+                  checked={playAllRounds}
+                  onChange={(e) => setPlayAllRounds(e.target.checked)}
+                />
+                Play all remaining rounds in one transaction
+              </label>
               <p className="text-gray-400 text-sm mt-2">
-                Round {Number(battle.currentRound)} of 3 completed
+                Round {Number(battle.currentRound)} of {getFormat(battle.format).deckSize} completed
               </p>
             </div>
           )}
@@ -1237,11 +2222,77 @@ export default function Battle({ account }) {
                   ? "Draw!"
                   : "You Lost"}
               </p>
-              {battle.winner.toLowerCase() === account.toLowerCase() && (
+              {battle.wager > 0n && (
+                <p className="text-gray-300 mb-2">
+                  {battle.winner === ethers.ZeroAddress
+                    ? `Both ${ethers.formatEther(battle.wager)} MON wagers were refunded.`
+                    : `${ethers.formatEther(getWagerPayout(battle))} MON was credited to the winner.`}{" "}
+                  Withdraw it from the banner above.
+                </p>
+              )}
+              {battle.friendly ? (
+                <p className="text-gray-400 mb-2">Friendly battle: no prize changes hands and both decks are unlocked.</p>
+              ) : battle.noPrize ? (
+                <p className="text-gray-400 mb-2">No-prize battle: both decks have been returned.</p>
+              ) : battle.claimed && (
+                <p className="text-gray-400 mb-2">You've collected your cards from this battle.</p>
+              )}
+              {!battle.claimed && battle.winner === ethers.ZeroAddress &&
+                [battle.starter, battle.opponent].some((p) => p.toLowerCase() === account.toLowerCase()) && (
+                <button
+                  onClick={() => claimReward(0)}
+                  disabled={loading}
+                  className="mt-2 bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  {loading ? "Claiming..." : "Return My Cards"}
+                </button>
+              )}
+              {!battle.claimed && battle.winner.toLowerCase() === account.toLowerCase() && battle.prizeTokenId !== "0" && (
+                <button
+                  onClick={() => claimReward(0)}
+                  disabled={loading}
+                  className="mt-2 bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  {loading ? "Claiming..." : `Collect Prize #${battle.prizeTokenId} and Your Cards`}
+                </button>
+              )}
+              {!battle.claimed && battle.winner !== ethers.ZeroAddress && battle.winner.toLowerCase() !== account.toLowerCase() &&
+                [battle.starter, battle.opponent].some((p) => p.toLowerCase() === account.toLowerCase()) && (
+                <div className="mt-2">
+                  {battle.prizeTokenId !== "0" || (claimDeadline !== null && now > claimDeadline) ? (
+                    <>
+                      <p className="text-gray-300 mb-3">
+                        {battle.prizeTokenId !== "0"
+                          ? `The winner took card #${battle.prizeTokenId}. Collect your remaining cards.`
+                          : "The winner didn't pick a prize in time. Releasing gives them your highest-scoring card and returns the rest to you."}
+                      </p>
+                      <button
+                        onClick={releaseCards}
+                        disabled={loading}
+                        className="bg-yellow-600 hover:bg-yellow-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                      >
+                        {loading ? "Releasing..." : "Release My Cards"}
+                      </button>
+                    </>
+                  ) : (
+                    <p className="text-gray-400">
+                      The winner has {claimDeadline !== null ? formatTimeLeft(claimDeadline, now) : "a while"} to pick a prize card.
+                      After that you can release your remaining cards.
+                    </p>
+                  )}
+                </div>
+              )}
+              {!battle.friendly && !battle.noPrize && battle.winner.toLowerCase() === account.toLowerCase() && battle.prizeTokenId === "0" && (
                 <div className="mt-4">
                   <p className="text-gray-300 mb-3 font-semibold">Select a prize card to claim:</p>
+                  {claimDeadline !== null && now <= claimDeadline && (
+                    <p className="text-gray-400 text-sm mb-3">
+                      Claim within {formatTimeLeft(claimDeadline, now)}. After that your opponent can
+                      release their cards and you receive their highest-scoring card.
+                    </p>
+                  )}
                   <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
-                    {battle.opponentCards.map((cardId, index) => {
+                    {(battle.winner === battle.starter ? battle.opponentCards : battle.starterCards).map((cardId, index) => {
                       if (!cardId || cardId === "0") return null;
                       const card = battleCards[cardId];
                       if (!card) {
@@ -1284,7 +2335,7 @@ export default function Battle({ account }) {
                       setLoading(true);
                       try {
                         await Promise.all([
-                          loadUserCards(),
+                          loadUserCards({ refresh: true }),
                           loadBattle()
                         ]);
                         alert("Cards refreshed!");
@@ -1,98 +1,102 @@
 import React, { useState, useEffect } from "react";
 import Card from "../components/Card";
+import { loadBaseCards, loadLockedCards, loadOwnedCards, loadStarterCards, subscribeOwnedCards, toCard } from "../lib/cards";
 import { getBattleCardContract, getProvider } from "../lib/ethereum";
 
+// Mirrors BattleCard.FUSION_SIZE: cards of one rarity burned for one card of the next rarity
+const FUSION_SIZE = 3;
+const MYTHIC = 4;
+const RARITY_NAMES = ["Common", "Rare", "Epic", "Legendary", "Mythic"];
+const CHARACTER_NAMES = ["Warrior", "Mage", "Cavalry", "Prince"];
+
+// Mirrors BattleCard._inheritedCharacter: the majority character, otherwise the strongest card's.
+// Strength is compared on base stats (see loadBaseCards), not the level-boosted ones getCard returns
+const inheritedCharacter = (fused) => {
+  const majority = fused.find(
+    (card) => fused.filter((other) => other.character === card.character).length * 2 > fused.length
+  );
+  if (majority) return majority.character;
+  const total = (card) => card.power + card.defense + card.speed;
+  return fused.reduce((best, card) => (total(card) > total(best) ? card : best)).character;
+};
+
 export default function Collection({ account }) {
   const [cards, setCards] = useState([]);
   const [loading, setLoading] = useState(false);
   const [selectedCards, setSelectedCards] = useState(new Set());
+  const [forging, setForging] = useState(false); // Forge view: the selection is burned by BattleCard.fuse
+  const [lockedCards, setLockedCards] = useState(new Set()); // Cards locked in a friendly battle can't be fused
+  const [starterCards, setStarterCards] = useState(new Set()); // Soulbound starter cards can't be fused either
+  const [forgeCommit, setForgeCommit] = useState(null); // { commitId, revealBlock } of a fusion waiting for its reveal
+  const [forgedCard, setForgedCard] = useState(null);
+  const [currentBlock, setCurrentBlock] = useState(0);
+  const [fusionCharacter, setFusionCharacter] = useState(null); // Character the selected cards would fuse into
 
   useEffect(() => {
-    if (account) {
-      loadCards();
-    }
-  }, [account]);
-
-  const loadCards = async () => {
     if (!account) return;
-    setLoading(true);
-    try {
-      const contract = await getBattleCardContract();
-      if (!contract) {
-        console.error("Contract not available");
-        return;
-      }
-
-      // Get signer address (the one making transactions)
-      const { getProvider } = await import("../lib/ethereum");
-      const provider = getProvider();
-      if (!provider) {
-        console.error("Provider not available");
-        return;
-      }
+    loadCards();
 
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
-      const signerLower = signerAddress.toLowerCase();
+    // Keep the grid current as cards are minted, won or escrowed
+    let unsubscribe = () => {};
+    let cancelled = false;
+    subscribeOwnedCards(account, setCards).then((off) => {
+      if (cancelled) off();
+      else unsubscribe = off;
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [account]);
 
-      // Get balance first
-      const balance = await contract.balanceOf(signerAddress);
-      console.log(`📊 Your balance: ${balance.toString()} cards`);
+  useEffect(() => {
+    if (!forging) return;
+    loadLockedCards(cards.map((card) => card.tokenId))
+      .then(setLockedCards)
+      .catch((error) => console.error("Error loading card locks:", error));
+    loadStarterCards(cards.map((card) => card.tokenId))
+      .then(setStarterCards)
+      .catch((error) => console.error("Error loading starter cards:", error));
+  }, [forging, cards]);
 
-      if (Number(balance) === 0) {
-        setCards([]);
-        return;
-      }
+  // Preview the inherited character once a full fusion is selected
+  useEffect(() => {
+    const selected = cards.filter((card) => selectedCards.has(card.tokenId));
+    setFusionCharacter(null);
+    if (!forging || selected.length !== FUSION_SIZE) return;
+    let cancelled = false;
+    loadBaseCards(selected)
+      .then((baseCards) => {
+        if (!cancelled) setFusionCharacter(inheritedCharacter(baseCards));
+      })
+      .catch((error) => console.error("Error loading base stats:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [forging, selectedCards, cards]);
 
-      // Get next token ID to know the range
-      const nextId = await contract.nextId();
-      const nextIdNum = Number(nextId);
-      console.log(`📋 Next token ID: ${nextIdNum} (checking tokens 1-${nextIdNum - 1})`);
-
-      // Iterate through all possible token IDs and check ownership directly
-      // This uses ownerOf() as the source of truth, avoiding stale data from getOwnedTokens
-      const ownedCards = [];
-      
-      // Check tokens in batches to avoid too many calls at once
-      const batchSize = 10;
-      for (let startId = 1; startId < nextIdNum; startId += batchSize) {
-        const endId = Math.min(startId + batchSize, nextIdNum);
-        const batchPromises = [];
-        
-        for (let i = startId; i < endId; i++) {
-          batchPromises.push(
-            (async () => {
-              try {
-                // Check ownership directly - ownerOf is the source of truth
-                const owner = await contract.ownerOf(i);
-                if (owner.toLowerCase() === signerLower) {
-                  // This card is owned by the user
-                  const cardData = await contract.getCard(i);
-                  return {
-                    tokenId: i.toString(),
-                    power: Number(cardData.power) || 0,
-                    defense: Number(cardData.defense) || 0,
-                    speed: Number(cardData.speed) || 0,
-                    character: Number(cardData.character) || 0,
-                    rarity: Number(cardData.rarity) || 0,
-                  };
-                }
-              } catch (error) {
-                // Token doesn't exist or error checking - skip it
-                return null;
-              }
-              return null;
-            })()
-          );
-        }
-        
-        const batchResults = await Promise.all(batchPromises);
-        const validBatchCards = batchResults.filter((c) => c !== null);
-        ownedCards.push(...validBatchCards);
+  useEffect(() => {
+    if (!forgeCommit) return;
+    // Poll the block number so the reveal unlocks on its own
+    const updateBlock = async () => {
+      const provider = getProvider();
+      if (!provider) return;
+      try {
+        setCurrentBlock(await provider.getBlockNumber());
+      } catch (error) {
+        console.error("Error reading block number:", error);
       }
+    };
+    updateBlock();
+    const interval = setInterval(updateBlock, 3000);
+    return () => clearInterval(interval);
+  }, [forgeCommit]);
 
-      console.log(`✅ Loaded ${ownedCards.length} cards you actually own (verified via ownerOf)`);
-      setCards(ownedCards);
+  const loadCards = async ({ refresh = false } = {}) => {
+    if (!account) return;
+    setLoading(true);
+    try {
+      setCards(await loadOwnedCards(account, { refresh }));
     } catch (error) {
       console.error("Error loading cards:", error);
       alert("Failed to load cards");
@@ -105,6 +109,18 @@ export default function Collection({ account }) {
     const newSelection = new Set(selectedCards);
     if (newSelection.has(tokenId)) {
       newSelection.delete(tokenId);
+    } else if (forging) {
+      const card = cards.find((c) => c.tokenId === tokenId);
+      const first = cards.find((c) => newSelection.has(c.tokenId));
+      if (newSelection.size >= FUSION_SIZE) {
+        alert(`A fusion takes exactly ${FUSION_SIZE} cards`);
+        return;
+      }
+      if (first && first.rarity !== card.rarity) {
+        alert("All cards in a fusion must share a rarity");
+        return;
+      }
+      newSelection.add(tokenId);
     } else {
       if (newSelection.size >= 3) {
         alert("You can only select up to 3 cards for battle");
@@ -115,6 +131,53 @@ export default function Collection({ account }) {
     setSelectedCards(newSelection);
   };
 
+  const toggleForge = () => {
+    setForging(!forging);
+    setSelectedCards(new Set());
+    setForgedCard(null);
+  };
+
+  // Burn the selected cards; the new card is revealed from a later block, like a mint
+  const fuseCards = async () => {
+    setLoading(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) throw new Error("Contract not available");
+      const tx = await contract.fuse([...selectedCards]);
+      const receipt = await tx.wait();
+
+      const committedTopic = contract.interface.getEvent("MintCommitted").topicHash;
+      const { args } = contract.interface.parseLog(receipt.logs.find((log) => log.topics[0] === committedTopic));
+      setForgeCommit({ commitId: args.commitId.toString(), revealBlock: Number(args.revealBlock) });
+      setSelectedCards(new Set());
+    } catch (error) {
+      console.error("Error fusing cards:", error);
+      alert(`Failed to fuse cards: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revealForgedCard = async () => {
+    setLoading(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) throw new Error("Contract not available");
+      const tx = await contract.revealCard(forgeCommit.commitId);
+      const receipt = await tx.wait();
+
+      const mintedTopic = contract.interface.getEvent("CardMinted").topicHash;
+      const { args } = contract.interface.parseLog(receipt.logs.find((log) => log.topics[0] === mintedTopic));
+      setForgedCard(toCard(args.tokenId, args));
+      setForgeCommit(null);
+    } catch (error) {
+      console.error("Error revealing forged card:", error);
+      alert(`Failed to reveal forged card: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   if (!account) {
     return (
       <div className="text-center py-20">
@@ -123,19 +186,82 @@ export default function Collection({ account }) {
     );
   }
 
+  // In the Forge, only cards that can still be fused are shown
+  const visibleCards = forging
+    ? cards.filter(
+        (card) => card.rarity < MYTHIC && !lockedCards.has(card.tokenId) && !starterCards.has(card.tokenId)
+      )
+    : cards;
+  const fusing = cards.filter((card) => selectedCards.has(card.tokenId));
+
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="flex justify-between items-center mb-6">
-        <h1 className="text-3xl font-bold text-white">My Collection</h1>
-        <button
-          onClick={loadCards}
-          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
-          disabled={loading}
-        >
-          {loading ? "Loading..." : "Refresh"}
-        </button>
+        <h1 className="text-3xl font-bold text-white">{forging ? "🔥 Forge" : "My Collection"}</h1>
+        <div className="flex gap-2">
+          <button
+            onClick={toggleForge}
+            className={`${forging ? "bg-gray-700 hover:bg-gray-600" : "bg-orange-600 hover:bg-orange-700"} text-white px-4 py-2 rounded-lg`}
+          >
+            {forging ? "Back to Collection" : "🔥 Forge"}
+          </button>
+          <button
+            onClick={() => loadCards({ refresh: true })}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
+            disabled={loading}
+          >
+            {loading ? "Loading..." : "Refresh"}
+          </button>
+        </div>
       </div>
 
+      {forging && (
+        <div className="bg-gray-800 rounded-lg p-6 mb-6">
+          <p className="text-gray-300 mb-4">
+            Burn {FUSION_SIZE} cards of the same rarity to forge one card of the next rarity. The new card takes the
+            character most of them share, or the strongest card's if they're all different, and rolls fresh stats.
+            Mythic cards and cards locked in a friendly battle can't be fused.
+          </p>
+          {forgeCommit ? (
+            <div className="flex flex-wrap items-center gap-4">
+              <p className="text-white">
+                {currentBlock > forgeCommit.revealBlock
+                  ? "Your forged card is ready to reveal."
+                  : `Forging... revealable after block ${forgeCommit.revealBlock}.`}
+              </p>
+              <button
+                onClick={revealForgedCard}
+                disabled={loading || currentBlock <= forgeCommit.revealBlock}
+                className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {loading ? "Revealing..." : "Reveal Forged Card"}
+              </button>
+            </div>
+          ) : (
+            <div className="flex flex-wrap items-center gap-4">
+              <p className="text-white">
+                Selected: {fusing.length}/{FUSION_SIZE}
+                {fusing.length === FUSION_SIZE &&
+                  ` → ${RARITY_NAMES[fusing[0].rarity + 1]} ${fusionCharacter !== null ? CHARACTER_NAMES[fusionCharacter] : "…"}`}
+              </p>
+              <button
+                onClick={fuseCards}
+                disabled={loading || fusing.length !== FUSION_SIZE}
+                className="bg-orange-600 hover:bg-orange-700 text-white px-6 py-3 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {loading ? "Fusing..." : "Fuse Cards"}
+              </button>
+            </div>
+          )}
+          {forgedCard && (
+            <div className="mt-6 max-w-xs">
+              <p className="text-white font-semibold mb-2">✨ Forged card #{forgedCard.tokenId}</p>
+              <Card card={forgedCard} tokenId={forgedCard.tokenId} showStats={true} />
+            </div>
+          )}
+        </div>
+      )}
+
       {loading ? (
         <div className="text-center py-20">
           <p className="text-gray-400">Loading your cards...</p>
@@ -147,11 +273,13 @@ export default function Collection({ account }) {
         </div>
       ) : (
         <>
-          <div className="mb-4 text-gray-300">
-            Selected: {selectedCards.size}/3 cards
-          </div>
+          {!forging && (
+            <div className="mb-4 text-gray-300">
+              Selected: {selectedCards.size}/3 cards
+            </div>
+          )}
           <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-            {cards.map((card) => (
+            {visibleCards.map((card) => (
               <Card
                 key={card.tokenId}
                 card={card}
@@ -1,16 +1,131 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { ethers } from "ethers";
 import Card from "../components/Card";
 import ConnectionStatus from "../components/ConnectionStatus";
-import { getBattleCardContract } from "../lib/ethereum";
+import { getBattleCardContract, getProvider } from "../lib/ethereum";
+
+const RARITY_NAMES = ["Common", "Rare", "Epic", "Legendary", "Mythic"];
 
 export default function Home({ account }) {
   const [loading, setLoading] = useState(false);
   const [newCard, setNewCard] = useState(null);
+  const [pendingCommits, setPendingCommits] = useState([]); // Array of {commitId, revealBlock, quantity}
+  const [currentBlock, setCurrentBlock] = useState(0);
+  const [revealWindow, setRevealWindow] = useState(256);
+  const [packs, setPacks] = useState([]); // Array of {packId, price, size, guaranteedRarity}
+  const [openedPack, setOpenedPack] = useState(null); // {cards, revealedCount} while flipping a pack
+  const [mintingPaused, setMintingPaused] = useState(false);
+  const [mintPrice, setMintPrice] = useState(null); // Live BattleCard.mintPrice in wei
+  const [supply, setSupply] = useState(null); // {minted, max} when a supply cap is set
+  const [starterDeckAvailable, setStarterDeckAvailable] = useState(false); // No cards held and the free deck unclaimed
   const navigate = useNavigate();
 
-  const mintCard = async () => {
+  useEffect(() => {
+    if (account) {
+      loadPendingCommits();
+      loadPacks();
+      loadMintInfo();
+    } else {
+      setPendingCommits([]);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (pendingCommits.length === 0) return;
+    // Poll the block number every 3 seconds so reveals unlock on their own
+    const updateBlock = async () => {
+      const provider = getProvider();
+      if (!provider) return;
+      try {
+        setCurrentBlock(await provider.getBlockNumber());
+      } catch (error) {
+        console.error("Error reading block number:", error);
+      }
+    };
+    updateBlock();
+    const interval = setInterval(updateBlock, 3000);
+    return () => clearInterval(interval);
+  }, [pendingCommits.length]);
+
+  const loadPendingCommits = async () => {
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) return;
+
+      const commitIds = await contract.getPendingCommits(account);
+      const commits = await Promise.all(
+        commitIds.map(async (commitId) => {
+          const commit = await contract.mintCommits(commitId);
+          return {
+            commitId: commitId.toString(),
+            revealBlock: Number(commit.revealBlock),
+            quantity: Number(commit.quantity) || 1,
+            // Fusions and guaranteed pack slots keep their rarity when expired, with its lowest stats
+            fixedRarity: Number(commit.minRarity) > 0,
+          };
+        })
+      );
+      setPendingCommits(commits);
+      setRevealWindow(Number(await contract.REVEAL_WINDOW()));
+    } catch (error) {
+      console.error("Error loading pending mints:", error);
+    }
+  };
+
+  const loadPacks = async () => {
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) return;
+
+      const count = Number(await contract.packCount());
+      const packList = [];
+      for (let packId = 0; packId < count; packId++) {
+        const pack = await contract.packs(packId);
+        if (Number(pack.size) === 0) continue;
+        packList.push({
+          packId,
+          price: pack.price,
+          size: Number(pack.size),
+          guaranteedRarity: Number(pack.guaranteedRarity),
+        });
+      }
+      setPacks(packList);
+    } catch (error) {
+      console.error("Error loading packs:", error);
+    }
+  };
+
+  // Price, supply cap and pause state are all configurable on the contract
+  // (minting can be paused by the pauser role; pending reveals stay available)
+  const loadMintInfo = async () => {
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) return;
+      const [paused, price, maxSupply, totalSupply, reservedSupply, starterSupply, balance, starterClaimed] = await Promise.all([
+        contract.paused(),
+        contract.mintPrice(),
+        contract.maxSupply(),
+        contract.totalSupply(),
+        contract.reservedSupply(),
+        contract.starterSupply(),
+        contract.balanceOf(account),
+        contract.starterDeckClaimed(account),
+      ]);
+      setMintingPaused(paused);
+      setMintPrice(price);
+      setStarterDeckAvailable(balance === 0n && !starterClaimed);
+      // Starter cards don't count towards the cap
+      setSupply(
+        maxSupply > 0n ? { minted: Number(totalSupply - starterSupply + reservedSupply), max: Number(maxSupply) } : null
+      );
+    } catch (error) {
+      console.error("Error loading mint info:", error);
+    }
+  };
+
+  // Send a paid mint (single card or pack) and track its commitment
+  const commitMint = async (sendTx) => {
     if (!account) {
       alert("Please connect your wallet first");
       return;
@@ -23,36 +138,113 @@ export default function Home({ account }) {
         throw new Error("Contract not available. Make sure contracts are deployed.");
       }
 
-      const mintFee = ethers.parseEther("0.001");
-      const tx = await contract.mintCard({ value: mintFee });
-      console.log("Minting transaction:", tx.hash);
+      const tx = await sendTx(contract);
+      console.log("Mint commit transaction:", tx.hash);
       
       // Wait for transaction
       const receipt = await tx.wait();
       
-      // Find CardMinted event to get token ID
+      // Find MintCommitted event to get the commit ID
       const event = receipt.logs.find(
         (log) =>
-          log.topics[0] === contract.interface.getEvent("CardMinted").topicHash
+          log.topics[0] === contract.interface.getEvent("MintCommitted").topicHash
       );
 
       if (event) {
         const parsed = contract.interface.parseLog(event);
-        const tokenId = parsed.args.tokenId;
-        
-        // Fetch card data
-        const cardData = await contract.getCard(tokenId);
-        // Convert BigInt values to numbers for display
-        setNewCard({
-          tokenId: tokenId.toString(),
-          power: Number(cardData.power) || 0,
-          defense: Number(cardData.defense) || 0,
-          speed: Number(cardData.speed) || 0,
-          character: Number(cardData.character) || 0,
-          rarity: Number(cardData.rarity) || 0,
-        });
-        
-        alert(`✅ Card #${tokenId} minted successfully!`);
+        setPendingCommits((prev) => [
+          ...prev,
+          {
+            commitId: parsed.args.commitId.toString(),
+            revealBlock: Number(parsed.args.revealBlock),
+            quantity: Number(parsed.args.quantity) || 1,
+          },
+        ]);
+      } else {
+        // Fallback: reload pending commits from the contract
+        await loadPendingCommits();
+      }
+      setNewCard(null);
+      setOpenedPack(null);
+    } catch (error) {
+      console.error("Error minting card:", error);
+      alert(`Failed to mint card: ${error.message}`);
+    } finally {
+      setLoading(false);
+      // Pick up a new price or supply (a mint can fail because either changed)
+      loadMintInfo();
+    }
+  };
+
+  const mintCard = () =>
+    commitMint((contract) => contract.mintCard({ value: mintPrice }));
+
+  const buyPack = (pack) =>
+    commitMint((contract) => contract.buyPack(pack.packId, { value: pack.price }));
+
+  // CardMinted carries the full stats, one event per card
+  const parseMintedCards = (contract, receipt) => {
+    const cardMintedTopic = contract.interface.getEvent("CardMinted").topicHash;
+    return receipt.logs
+      .filter((log) => log.topics[0] === cardMintedTopic)
+      .map((log) => {
+        const { args } = contract.interface.parseLog(log);
+        return {
+          tokenId: args.tokenId.toString(),
+          power: Number(args.power) || 0,
+          defense: Number(args.defense) || 0,
+          speed: Number(args.speed) || 0,
+          character: Number(args.character) || 0,
+          rarity: Number(args.rarity) || 0,
+        };
+      });
+  };
+
+  // Free one-time deck of three soulbound Common cards, flipped like a pack
+  const claimStarterDeck = async () => {
+    setLoading(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) {
+        throw new Error("Contract not available. Make sure contracts are deployed.");
+      }
+
+      const tx = await contract.claimStarterDeck();
+      console.log("Starter deck transaction:", tx.hash);
+      const receipt = await tx.wait();
+
+      setNewCard(null);
+      setOpenedPack({ cards: parseMintedCards(contract, receipt), revealedCount: 0 });
+      setStarterDeckAvailable(false);
+    } catch (error) {
+      console.error("Error claiming starter deck:", error);
+      alert(`Failed to claim starter deck: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+      loadMintInfo();
+    }
+  };
+
+  const revealCard = async (commitId) => {
+    setLoading(true);
+    try {
+      const contract = await getBattleCardContract();
+      if (!contract) {
+        throw new Error("Contract not available. Make sure contracts are deployed.");
+      }
+
+      const tx = await contract.revealCard(commitId);
+      console.log("Reveal transaction:", tx.hash);
+      const receipt = await tx.wait();
+
+      const mintedCards = parseMintedCards(contract, receipt);
+
+      if (mintedCards.length > 1) {
+        setNewCard(null);
+        setOpenedPack({ cards: mintedCards, revealedCount: 0 });
+      } else if (mintedCards.length === 1) {
+        setNewCard(mintedCards[0]);
+        alert(`✅ Card #${mintedCards[0].tokenId} minted successfully!`);
       } else {
         // Fallback: try to get the latest token ID
         const nextId = await contract.nextId();
@@ -69,14 +261,25 @@ export default function Home({ account }) {
         });
         alert(`✅ Card #${tokenId} minted successfully!`);
       }
+
+      setPendingCommits((prev) => prev.filter((c) => c.commitId !== commitId));
     } catch (error) {
-      console.error("Error minting card:", error);
-      alert(`Failed to mint card: ${error.message}`);
+      console.error("Error revealing card:", error);
+      alert(`Failed to reveal card: ${error.message}`);
     } finally {
       setLoading(false);
     }
   };
 
+  const flipNextPackCard = () => {
+    setOpenedPack((prev) =>
+      prev ? { ...prev, revealedCount: Math.min(prev.revealedCount + 1, prev.cards.length) } : prev
+    );
+  };
+
+  const priceLabel = mintPrice === null ? "…" : ethers.formatEther(mintPrice);
+  const soldOut = supply !== null && supply.minted >= supply.max;
+
   return (
     <div className="container mx-auto px-4 py-12">
       <div className="text-center mb-12">
@@ -100,8 +303,8 @@ export default function Home({ account }) {
             🎴 Generate Your Battle Card
           </h2>
           <p className="text-gray-300 text-center mb-6">
-            Pay <span className="text-yellow-400 font-bold">0.001 MON</span> to mint a randomly-generated
-            battle card with unique stats and rarity!
+            Pay <span className="text-yellow-400 font-bold">{priceLabel} MON</span> to mint a randomly-generated
+            battle card with unique stats and rarity! Your card is revealed from the next block.
           </p>
 
           {!account ? (
@@ -110,9 +313,34 @@ export default function Home({ account }) {
             </div>
           ) : (
             <div className="text-center">
+              {mintingPaused && (
+                <p className="text-orange-400 mb-4">
+                  ⏸️ Minting is paused. Pending cards can still be revealed.
+                </p>
+              )}
+              {starterDeckAvailable && (
+                <div className="bg-green-900/40 border border-green-700 rounded-lg p-4 mb-6">
+                  <p className="text-gray-300 mb-3">
+                    New here? Claim a free starter deck of three Common cards. Starter cards can't be traded and
+                    play only in friendly or no-prize battles.
+                  </p>
+                  <button
+                    onClick={claimStarterDeck}
+                    disabled={loading || mintingPaused}
+                    className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-6 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {loading ? "Claiming..." : "🌱 Claim Free Starter Deck"}
+                  </button>
+                </div>
+              )}
+              {supply && (
+                <p className="text-gray-400 text-sm mb-4">
+                  {soldOut ? "Sold out" : `${supply.max - supply.minted} of ${supply.max} cards left`}
+                </p>
+              )}
               <button
                 onClick={mintCard}
-                disabled={loading}
+                disabled={loading || mintingPaused || mintPrice === null || soldOut}
                 className={`bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-bold py-4 px-8 rounded-lg text-lg shadow-lg transition-all transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none`}
               >
                 {loading ? (
@@ -121,9 +349,133 @@ export default function Home({ account }) {
                     Minting...
                   </span>
                 ) : (
-                  "🎴 Generate Card — 0.001 MON"
+                  `🎴 Generate Card — ${priceLabel} MON`
                 )}
               </button>
+
+              {/* Booster Packs */}
+              {packs.length > 0 && (
+                <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {packs.map((pack) => (
+                    <button
+                      key={pack.packId}
+                      onClick={() => buyPack(pack)}
+                      disabled={loading || mintingPaused || (supply && supply.max - supply.minted < pack.size)}
+                      className="bg-gray-900 hover:bg-gray-700 border border-purple-500/50 rounded-lg p-4 text-left transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <p className="text-white font-bold">📦 {pack.size}-Card Pack</p>
+                      <p className="text-yellow-400 font-semibold">{ethers.formatEther(pack.price)} MON</p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {pack.guaranteedRarity > 0
+                          ? `One guaranteed ${RARITY_NAMES[pack.guaranteedRarity]} or better`
+                          : "One confirmation for a whole deck"}
+                      </p>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Pending Reveals */}
+          {account && pendingCommits.length > 0 && (
+            <div className="mt-8 bg-gray-900 rounded-lg p-4 border border-yellow-500/50">
+              <h3 className="text-lg font-bold text-yellow-400 mb-3">⏳ Pending Reveals</h3>
+              <div className="space-y-3">
+                {pendingCommits.map((commit) => {
+                  const ready = currentBlock > commit.revealBlock;
+                  const expired = currentBlock > commit.revealBlock + revealWindow;
+                  return (
+                    <div key={commit.commitId} className="flex justify-between items-center">
+                      <div>
+                        <p className="text-white font-semibold">
+                          Mint #{commit.commitId}
+                          {commit.quantity > 1 && ` — ${commit.quantity}-card pack`}
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          {!ready
+                            ? `Waiting for block ${commit.revealBlock + 1} (current: ${currentBlock || "..."})`
+                            : expired && commit.fixedRarity
+                            ? "Reveal window missed — rolled cards will be Commons, a guaranteed or forged card gets its rarity's lowest stats"
+                            : expired
+                            ? "Reveal window missed — rolled cards will be revealed as Commons"
+                            : `Reveal before block ${commit.revealBlock + revealWindow + 1}`}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => revealCard(commit.commitId)}
+                        disabled={loading || !ready}
+                        className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg font-semibold disabled:bg-gray-600 disabled:cursor-not-allowed"
+                      >
+                        {loading ? "Revealing..." : commit.quantity > 1 ? "Open Pack" : "Reveal Card"}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Pack Opening - flip the cards one at a time */}
+          {openedPack && (
+            <div className="mt-8">
+              <div className="bg-purple-500/20 border border-purple-500 rounded-lg p-4 mb-4">
+                <p className="text-purple-300 font-semibold text-center">
+                  📦 Pack Opened! {openedPack.revealedCount}/{openedPack.cards.length} cards revealed
+                </p>
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-4">
+                {openedPack.cards.map((card, index) =>
+                  index < openedPack.revealedCount ? (
+                    <Card key={card.tokenId} card={card} tokenId={card.tokenId} showStats={true} />
+                  ) : (
+                    <div
+                      key={card.tokenId}
+                      onClick={index === openedPack.revealedCount ? flipNextPackCard : undefined}
+                      className={`rounded-xl border-2 border-purple-500/50 bg-gradient-to-br from-purple-900 to-gray-900 min-h-48 flex items-center justify-center text-4xl ${
+                        index === openedPack.revealedCount ? "cursor-pointer hover:border-purple-400 animate-pulse" : ""
+                      }`}
+                    >
+                      🎴
+                    </div>
+                  )
+                )}
+              </div>
+              <div className="mt-6 text-center">
+                {openedPack.revealedCount < openedPack.cards.length ? (
+                  <>
+                    <button
+                      onClick={flipNextPackCard}
+                      className="bg-purple-600 hover:bg-purple-700 text-white px-6 py-2 rounded-lg font-semibold mr-4"
+                    >
+                      Reveal Next Card
+                    </button>
+                    <button
+                      onClick={() =>
+                        setOpenedPack((prev) => ({ ...prev, revealedCount: prev.cards.length }))
+                      }
+                      className="bg-gray-600 hover:bg-gray-700 text-white px-6 py-2 rounded-lg font-semibold"
+                    >
+                      Reveal All
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => navigate("/collection")}
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-semibold mr-4"
+                    >
+                      View Collection
+                    </button>
+                    <button
+                      onClick={() => setOpenedPack(null)}
+                      className="bg-gray-600 hover:bg-gray-700 text-white px-6 py-2 rounded-lg font-semibold"
+                    >
+                      Done
+                    </button>
+                  </>
+                )}
+              </div>
             </div>
           )}
 
@@ -165,8 +517,8 @@ export default function Home({ account }) {
           <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
             <h3 className="text-xl font-bold text-white mb-2">🎲 Random Generation</h3>
             <p className="text-gray-300 text-sm">
-              Each card has randomly generated stats, character type, and rarity based on on-chain
-              randomness.
+              Each card has randomly generated stats, character type, and rarity drawn from a block
+              hash mined after you pay, so nobody can pick their rarity in advance.
             </p>
           </div>
           <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from "react";
+import { getBattleManagerContract, formatAddress } from "../lib/ethereum";
+
+// Players shown on the board (mirrors BattleManager.LEADERBOARD_SIZE)
+const LEADERBOARD_SIZE = 50;
+
+// Convert a PlayerStats struct from the contract into display values
+const toStats = (stats) => ({
+  rating: Number(stats.rating),
+  wins: Number(stats.wins),
+  losses: Number(stats.losses),
+  draws: Number(stats.draws),
+  winStreak: Number(stats.winStreak),
+});
+
+export default function Leaderboard({ account }) {
+  const [entries, setEntries] = useState([]);
+  const [myStats, setMyStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (account) {
+      loadLeaderboard();
+    }
+  }, [account]);
+
+  const loadLeaderboard = async () => {
+    setLoading(true);
+    try {
+      const managerContract = await getBattleManagerContract();
+      if (!managerContract) return;
+      const [[players, stats], mine] = await Promise.all([
+        managerContract.getLeaderboard(LEADERBOARD_SIZE),
+        managerContract.getPlayerStats(account),
+      ]);
+      setEntries(players.map((player, i) => ({ player, ...toStats(stats[i]) })));
+      setMyStats(toStats(mine));
+    } catch (error) {
+      console.error("Error loading leaderboard:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!account) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-400 text-lg">Please connect your wallet to view the leaderboard</p>
+      </div>
+    );
+  }
+
+  const myRank = entries.findIndex((entry) => entry.player.toLowerCase() === account.toLowerCase());
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-white">🏆 Leaderboard</h1>
+        <button
+          onClick={loadLeaderboard}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
+          disabled={loading}
+        >
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      {myStats && (
+        <div className="bg-gray-900 rounded-lg p-4 mb-6 flex flex-wrap gap-6 text-gray-300">
+          <p>
+            Your rating: <span className="text-yellow-400 font-bold">{myStats.rating}</span>
+            {myRank >= 0 && <span className="text-gray-400"> (#{myRank + 1})</span>}
+          </p>
+          <p>
+            Record: {myStats.wins}W / {myStats.losses}L / {myStats.draws}D
+          </p>
+          {myStats.winStreak > 1 && <p className="text-orange-400">🔥 {myStats.winStreak} win streak</p>}
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <div className="text-center py-20">
+          <p className="text-gray-400 text-lg">
+            {loading ? "Loading ratings..." : "No rated battles have been resolved yet."}
+          </p>
+        </div>
+      ) : (
+        <div className="bg-gray-900 rounded-lg overflow-x-auto">
+          <table className="w-full text-left text-gray-300">
+            <thead className="text-gray-400 text-sm border-b border-gray-700">
+              <tr>
+                <th className="px-4 py-3">#</th>
+                <th className="px-4 py-3">Player</th>
+                <th className="px-4 py-3">Rating</th>
+                <th className="px-4 py-3">W / L / D</th>
+                <th className="px-4 py-3">Streak</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, i) => {
+                const isMe = entry.player.toLowerCase() === account.toLowerCase();
+                return (
+                  <tr key={entry.player} className={`border-b border-gray-800 ${isMe ? "bg-blue-900/40" : ""}`}>
+                    <td className="px-4 py-3 font-bold">{i + 1}</td>
+                    <td className="px-4 py-3">{isMe ? "You" : formatAddress(entry.player)}</td>
+                    <td className="px-4 py-3 text-yellow-400 font-bold">{entry.rating}</td>
+                    <td className="px-4 py-3">
+                      {entry.wins} / {entry.losses} / {entry.draws}
+                    </td>
+                    <td className="px-4 py-3">{entry.winStreak > 0 ? `🔥 ${entry.winStreak}` : "-"}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
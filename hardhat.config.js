@@ -1,6 +1,11 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+// BattleCard and BattleManager are both past Ethereum's 24KB contract size limit (EIP-170)
+// and depend on Monad's 128KB limit to deploy. The local network lifts the limit only while
+// it stands in for Monad (the default); set TARGET_CHAIN=ethereum to enforce EIP-170.
+const targetsMonad = (process.env.TARGET_CHAIN || "monad") === "monad";
+
 module.exports = {
   solidity: {
     version: "0.8.20",
@@ -12,6 +17,9 @@ module.exports = {
     },
   },
   networks: {
+    hardhat: {
+      allowUnlimitedContractSize: targetsMonad,
+    },
     monadTestnet: {
       url: "https://testnet-rpc.monad.xyz",
       chainId: 10143,
@@ -13,20 +13,40 @@ async function main() {
   const battleCardAddress = await battleCard.getAddress();
   console.log("BattleCard deployed to:", battleCardAddress);
 
-  // Deploy BattleManager
+  // Deploy scoring strategies
+  console.log("\nDeploying scoring strategies...");
+  const strategyAddresses = [];
+  for (const name of ["ClassicScoring", "DefensiveScoring", "SpeedFirstScoring"]) {
+    const strategy = await hre.ethers.deployContract(name);
+    await strategy.waitForDeployment();
+    strategyAddresses.push(await strategy.getAddress());
+    console.log(`${name} deployed to:`, strategyAddresses[strategyAddresses.length - 1]);
+  }
+
+  // Deploy BattleManager with Classic as the default strategy
   console.log("\nDeploying BattleManager...");
   const BattleManager = await hre.ethers.getContractFactory("BattleManager");
-  const battleManager = await BattleManager.deploy(battleCardAddress);
+  const battleManager = await BattleManager.deploy(battleCardAddress, strategyAddresses[0]);
   await battleManager.waitForDeployment();
   const battleManagerAddress = await battleManager.getAddress();
   console.log("BattleManager deployed to:", battleManagerAddress);
 
+  // Let BattleManager lock cards for friendly battles
+  await (await battleCard.setBattleManager(battleManagerAddress)).wait();
+
+  // Allow the other strategies
+  for (const strategyAddress of strategyAddresses.slice(1)) {
+    await (await battleManager.setScoringStrategy(strategyAddress, true)).wait();
+  }
+
   console.log("\n=== Deployment Summary ===");
   console.log("BattleCard:", battleCardAddress);
   console.log("BattleManager:", battleManagerAddress);
   console.log("\nAdd these addresses to your frontend .env file:");
   console.log(`REACT_APP_BATTLE_CARD_ADDRESS=${battleCardAddress}`);
   console.log(`REACT_APP_BATTLE_MANAGER_ADDRESS=${battleManagerAddress}`);
+  console.log("\nThe deployer holds every role (admin, pauser, game config, treasury) on both contracts;");
+  console.log("hand them out with grantRole and drop the deployer's with renounceRole.");
 }
 
 main()